@@ -19,7 +19,7 @@
 
 /**
  * Constant to be used with the coordinateMode() function, to set the mode which
- * p5.js interprets and calculates angles (either TOP_LEFT or BOTTOM_LEFT).
+ * p5.js interprets and calculates angles (either TOP_LEFT, BOTTOM_LEFT or CENTER).
  * @property {String} TOP_LEFT
  * @final
  */
@@ -27,67 +27,506 @@ p5.prototype.TOP_LEFT = "top-left";
 
 /**
  * Constant to be used with the coordinateMode() function, to set the mode which
- * p5.js interprets and calculates angles (either TOP_LEFT or BOTTOM_LEFT).
+ * p5.js interprets and calculates angles (either TOP_LEFT, BOTTOM_LEFT or CENTER).
  * @property {String} BOTTOM_LEFT
  * @final
  */
 p5.prototype.BOTTOM_LEFT = "bottom-left";
 
+// CENTER is already defined by p5 and reused as the third coordinate mode,
+// which places the origin in the middle of the canvas with the y-axis
+// moving upwards (quadrants I-IV from math class).
+
 // Set the default angleMode to degrees.
 p5.prototype._angleMode = p5.prototype.DEGREES;
 // Set the default coordinateMode to top-left.
 p5.prototype._coordinateMode = p5.prototype.BOTTOM_LEFT;
+// Whether the sketch has chosen a coordinate mode with coordinateMode().
+p5.prototype._coordinateModeSet = false;
 
 /**
- * Sets the coordinate system mode to either top-left or bottom-left
+ * Sets the coordinate system mode to either top-left, bottom-left or center
  *
- * @param {Constant} mode either TOP_LEFT or BOTTOM_LEFT
+ * @param {Constant} mode either TOP_LEFT, BOTTOM_LEFT or CENTER
  */
 p5.prototype.coordinateMode = function (mode) {
-  if (mode === this._coordinateMode) return;
+  if (mode === this._coordinateMode && this._coordinateModeSet) return;
 
   switch (mode) {
     case this.TOP_LEFT:
-      this._setCoordinateModeTopLeft();
-      break;
     case this.BOTTOM_LEFT:
-      this._setCoordinateModeBottomLeft();
+    case this.CENTER:
+      this._setCoordinateMode(mode);
       break;
     default:
       throw new p5Error(
-        `coordinateMode() was expecting TOP_LEFT|BOTTOM_LEFT for the first parameter, received ${mode} instead`
+        `coordinateMode() was expecting TOP_LEFT|BOTTOM_LEFT|CENTER for the first parameter, received ${mode} instead`
       );
   }
 };
 
-p5.prototype._setCoordinateModeTopLeft = function () {
-  this._coordinateMode = this.TOP_LEFT;
-  if (this._renderer?.isP3D) {
-    // this.scale(1, -1);
-  } else {
-    this.scale(1, -1);
-    this.translate(0, -this.height);
+/**
+ * Returns the transform from the current coordinate mode to canvas pixels
+ * as the arguments to applyMatrix(): [a, b, c, d, e, f]. This includes the
+ * viewport and any pan and zoom from panZoomControl().
+ *
+ * @returns {Number[]} the coordinate mode's transform
+ */
+p5.prototype._coordinateModeMatrix = function () {
+  const { x, y, zoom } = this._panZoom;
+  const [a, b, c, d, e, f] = this._viewportMatrix();
+  return [zoom * a, zoom * b, zoom * c, zoom * d, zoom * e + x, zoom * f + y];
+};
+
+/**
+ * Returns the transform from the current coordinate mode and viewport to
+ * canvas pixels, before pan and zoom, as the arguments to applyMatrix().
+ *
+ * @returns {Number[]} the viewport's transform
+ */
+p5.prototype._viewportMatrix = function () {
+  if (this._usesWebglOrigin()) {
+    return [1, 0, 0, 1, 0, 0];
+  }
+  if (this._viewport) {
+    const { xMin, xMax, yMin, yMax } = this._viewport;
+    const sx = this.width / (xMax - xMin);
+    const sy = this.height / (yMax - yMin);
+    if (this._isYUp()) {
+      return [sx, 0, 0, -sy, -xMin * sx, this.height + yMin * sy];
+    }
+    return [sx, 0, 0, sy, -xMin * sx, -yMin * sy];
+  }
+
+  switch (this._coordinateMode) {
+    case this.BOTTOM_LEFT:
+      return [1, 0, 0, -1, 0, this.height];
+    case this.CENTER:
+      return [1, 0, 0, -1, this.width / 2, this.height / 2];
+    default:
+      return [1, 0, 0, 1, 0, 0];
+  }
+};
+
+/**
+ * Whether the y-axis of the current coordinate mode moves upwards.
+ *
+ * @returns {Boolean}
+ */
+p5.prototype._isYUp = function () {
+  return !this._usesWebglOrigin() && this._coordinateMode !== this.TOP_LEFT;
+};
+
+/**
+ * Whether a WEBGL sketch keeps p5's own origin in the center of the canvas
+ * with the y-axis moving downwards. This is the default until the sketch
+ * calls coordinateMode() or setViewport().
+ *
+ * @returns {Boolean}
+ */
+p5.prototype._usesWebglOrigin = function () {
+  return !!this._renderer?.isP3D && !this._coordinateModeSet && !this._viewport;
+};
+
+/**
+ * Converts a point in canvas pixels (origin top left, y-axis down) to the
+ * current coordinate mode.
+ *
+ * @param {Number} x the x-coordinate in canvas pixels
+ * @param {Number} y the y-coordinate in canvas pixels
+ * @returns {Object} containing the point's x and y-coordinates
+ */
+p5.prototype._canvasToCoordinateMode = function (x, y) {
+  return transformPoint(invertMatrix(this._coordinateModeMatrix()), x, y);
+};
+
+/**
+ * Converts a point in the current coordinate mode to canvas pixels
+ * (origin top left, y-axis down).
+ *
+ * @param {Number} x the x-coordinate in the current coordinate mode
+ * @param {Number} y the y-coordinate in the current coordinate mode
+ * @returns {Object} containing the point's x and y-coordinates
+ */
+p5.prototype._coordinateModeToCanvas = function (x, y) {
+  return transformPoint(this._coordinateModeMatrix(), x, y);
+};
+
+/**
+ * Returns the number of canvas pixels per coordinate unit along each axis.
+ * This is 1 unless a viewport has been set.
+ *
+ * @returns {Object} containing the x and y scale
+ */
+p5.prototype._pixelsPerUnit = function () {
+  const [a, b, c, d] = this._coordinateModeMatrix();
+  return { x: Math.hypot(a, b), y: Math.hypot(c, d) };
+};
+
+p5.prototype._setCoordinateMode = function (mode, explicit = true) {
+  this._changeCoordinateTransform(() => {
+    this._coordinateMode = mode;
+    this._coordinateModeSet = explicit;
+  });
+};
+
+/**
+ * Changes the coordinate system part way through a frame by undoing the
+ * current coordinate transform, updating the state and then applying the
+ * new transform. Stroke weights and the mouse are converted to match.
+ *
+ * @param {Function} update changes the coordinate system's state
+ */
+p5.prototype._changeCoordinateTransform = function (update) {
+  const ppu = this._pixelsPerUnit();
+  const weight = this._renderer?.isP3D
+    ? null
+    : this.drawingContext.lineWidth * Math.sqrt(ppu.x * ppu.y);
+  const pmouse = this._coordinateModeToCanvas(this.pmouseX, this.pmouseY);
+  this.applyMatrix(...invertMatrix(this._frameMatrix()));
+  update();
+  this.applyMatrix(...this._frameMatrix());
+  if (weight !== null) {
+    this.strokeWeight(weight);
+  }
+  this._updateMouseFromCanvas();
+  const pm = this._canvasToCoordinateMode(pmouse.x, pmouse.y);
+  this._setProperty("pmouseX", pm.x);
+  this._setProperty("pmouseY", pm.y);
+};
+
+/**
+ * Returns the transform applied at the start of each frame. In WEBGL the
+ * origin starts in the center of the canvas, so it is first moved to the
+ * top left corner. Coordinate modes then mean the same thing in both
+ * renderers, with the z-axis pointing out of the screen.
+ *
+ * @returns {Number[]} the frame's transform
+ */
+p5.prototype._frameMatrix = function () {
+  const [a, b, c, d, e, f] = this._coordinateModeMatrix();
+  if (!this._renderer?.isP3D || this._usesWebglOrigin()) {
+    return [a, b, c, d, e, f];
+  }
+  return [a, b, c, d, e - this.width / 2, f - this.height / 2];
+};
+
+/**
+ * Applies the coordinate mode's transform at the start of each frame.
+ */
+p5.prototype._applyCoordinateModeBeforeDraw = function () {
+  this.applyMatrix(...this._frameMatrix());
+};
+
+// The world rectangle mapped onto the canvas, or null for one unit per pixel.
+p5.prototype._viewport = null;
+
+/**
+ * Maps the rectangle [xMin, xMax] x [yMin, yMax] in world units onto the
+ * whole canvas so that drawing, mouse(), mouseX/mouseY and drawTickAxes()
+ * all work in world units. The y-axis direction follows the coordinate
+ * mode. Stroke weights and text sizes stay in pixels. Calling setViewport()
+ * without arguments restores one unit per pixel.
+ *
+ * @param {Number} xMin the world x-coordinate at the left edge of the canvas
+ * @param {Number} xMax the world x-coordinate at the right edge of the canvas
+ * @param {Number} yMin the world y-coordinate at the bottom edge of the canvas
+ * @param {Number} yMax the world y-coordinate at the top edge of the canvas
+ */
+p5.prototype.setViewport = function (xMin, xMax, yMin, yMax) {
+  let viewport = null;
+  if (arguments.length > 0) {
+    if (!(xMin < xMax) || !(yMin < yMax)) {
+      throw new p5Error(
+        `setViewport() was expecting xMin < xMax and yMin < yMax, received (${xMin}, ${xMax}, ${yMin}, ${yMax}) instead`
+      );
+    }
+    viewport = { xMin, xMax, yMin, yMax };
   }
+
+  this._changeCoordinateTransform(() => {
+    this._viewport = viewport;
+  });
 };
 
-p5.prototype._setCoordinateModeBottomLeft = function () {
-  this._coordinateMode = this.BOTTOM_LEFT;
+// The pan (in canvas pixels) and zoom applied by panZoomControl().
+p5.prototype._panZoom = { x: 0, y: 0, zoom: 1 };
+
+/**
+ * Lets the user drag to pan and use the mouse wheel or pinch to zoom a 2D
+ * sketch, similar to orbitControl() in WEBGL. Call it at the start of
+ * draw(). The mouse, movable circles, crosshair() and drawTickAxes() keep
+ * working in world units while zoomed.
+ *
+ * @param {Number} sensitivity how quickly the mouse wheel zooms (Optional)
+ * @param {Number} minZoom     the smallest zoom allowed (Optional)
+ * @param {Number} maxZoom     the largest zoom allowed (Optional)
+ */
+p5.prototype.panZoomControl = function (
+  sensitivity = 1,
+  minZoom = 0.1,
+  maxZoom = 10
+) {
   if (this._renderer?.isP3D) {
-    // this.scale(1, -1);
+    throw new p5Error(
+      "panZoomControl() only works in 2D, use orbitControl() in WEBGL instead"
+    );
+  }
+  if (!this._panZoomWheel) {
+    this._panZoomWheel = { deltaY: 0 };
+    this._renderer.elt.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        this._panZoomWheel.deltaY += e.deltaY;
+      },
+      { passive: false }
+    );
+  }
+
+  let { x, y, zoom } = this._panZoom;
+  // Zooms by a factor about a point in canvas pixels.
+  const zoomAbout = (factor, cx, cy) => {
+    const newZoom = this.constrain(zoom * factor, minZoom, maxZoom);
+    x = cx - ((cx - x) * newZoom) / zoom;
+    y = cy - ((cy - y) * newZoom) / zoom;
+    zoom = newZoom;
+  };
+  const mouse = this._canvasMouse;
+  const touches = this._canvasTouches;
+
+  if (touches.length >= 2) {
+    // pinch to zoom and pan
+    const [t0, t1] = touches;
+    const mid = { x: (t0.x + t1.x) / 2, y: (t0.y + t1.y) / 2 };
+    const d = Math.hypot(t1.x - t0.x, t1.y - t0.y);
+    const prev = this._panZoomPinch;
+    if (prev && prev.d > 0) {
+      x += mid.x - prev.mid.x;
+      y += mid.y - prev.mid.y;
+      zoomAbout(d / prev.d, mid.x, mid.y);
+    }
+    this._panZoomPinch = { mid, d };
   } else {
-    this.translate(0, this.height);
-    this.scale(1, -1);
+    this._panZoomPinch = null;
+
+    // drag to pan, unless the drag started off the canvas or on a
+    // movable circle
+    const pressStarted = this.mouseIsPressed && !this._panZoomPressed;
+    if (mouse && pressStarted) {
+      this._panZoomDragging =
+        mouse.x >= 0 &&
+        mouse.x <= this.width &&
+        mouse.y >= 0 &&
+        mouse.y <= this.height;
+    }
+    // Movable circles claim a press when they are drawn, after this runs,
+    // so panning waits until the frame after the press to see if one has.
+    if (this._anyMoving) {
+      this._panZoomDragging = false;
+    }
+    const prev = this._panZoomPrevMouse;
+    if (
+      mouse &&
+      prev &&
+      this.mouseIsPressed &&
+      this._panZoomDragging &&
+      !pressStarted
+    ) {
+      x += mouse.x - prev.x;
+      y += mouse.y - prev.y;
+    }
+
+    // wheel to zoom about the mouse
+    if (mouse && this._panZoomWheel.deltaY !== 0) {
+      zoomAbout(
+        Math.exp((-this._panZoomWheel.deltaY * sensitivity) / 500),
+        mouse.x,
+        mouse.y
+      );
+    }
+  }
+  this._panZoomWheel.deltaY = 0;
+  this._panZoomPressed = this.mouseIsPressed;
+  this._panZoomPrevMouse = mouse && { ...mouse };
+
+  const current = this._panZoom;
+  if (x !== current.x || y !== current.y || zoom !== current.zoom) {
+    this._changeCoordinateTransform(() => {
+      this._panZoom = { x, y, zoom };
+    });
   }
 };
 
-p5.prototype._applyCoordinateModeBeforeDraw = function () {
-  switch (this._coordinateMode) {
-    case this.BOTTOM_LEFT:
-      this._setCoordinateModeBottomLeft();
-      break;
+/**
+ * Undoes any pan and zoom from panZoomControl().
+ */
+p5.prototype.resetPanZoom = function () {
+  this._changeCoordinateTransform(() => {
+    this._panZoom = { x: 0, y: 0, zoom: 1 };
+  });
+};
+
+/**
+ * Converts a point in world units to canvas pixels (origin top left,
+ * y-axis down).
+ *
+ * @param {Number} x the world x-coordinate
+ * @param {Number} y the world y-coordinate
+ * @returns {Object} containing the point's x and y-coordinates in pixels
+ */
+p5.prototype.worldToScreen = function (x, y) {
+  return this._coordinateModeToCanvas(x, y);
+};
+
+/**
+ * Converts a point in canvas pixels (origin top left, y-axis down) to
+ * world units.
+ *
+ * @param {Number} x the x-coordinate in pixels
+ * @param {Number} y the y-coordinate in pixels
+ * @returns {Object} containing the point's world x and y-coordinates
+ */
+p5.prototype.screenToWorld = function (x, y) {
+  return this._canvasToCoordinateMode(x, y);
+};
+
+/**
+ * Constant to be used with the axisScale() function, for an axis whose
+ * values grow tenfold with each step (a base 10 logarithmic scale).
+ * @property {String} LOG
+ * @final
+ */
+p5.prototype.LOG = "log";
+
+/**
+ * Constant to be used with the axisScale() function, for an axis whose
+ * values grow by a factor of e with each step (a natural logarithmic scale).
+ * @property {String} LN
+ * @final
+ */
+p5.prototype.LN = "ln";
+
+// The scale along each axis and the length of one step on logarithmic axes.
+p5.prototype._axisScale = { x: "linear", y: "linear", size: undefined };
+
+/**
+ * Sets the scale along each axis to LINEAR, LOG or LN. On a logarithmic
+ * axis, the coordinate of a value is its logarithm times size, so each
+ * power of 10 (or e) is the same distance along the axis. drawTickAxes(),
+ * plot() and the other graphing functions map values through these
+ * scales, as do scaleX() and scaleY().
+ *
+ * @param {Constant} xScale the scale along the x-axis
+ * @param {Constant} yScale the scale along the y-axis
+ * @param {Number} size     the length of each power on logarithmic axes,
+ *                          1 with a viewport and 100 otherwise (Optional)
+ */
+p5.prototype.axisScale = function (
+  xScale = this.LINEAR,
+  yScale = this.LINEAR,
+  size
+) {
+  for (const scale of [xScale, yScale]) {
+    if (![this.LINEAR, this.LOG, this.LN].includes(scale)) {
+      throw new p5Error(
+        `axisScale() was expecting LINEAR|LOG|LN, received ${scale} instead`
+      );
+    }
   }
+  if (size !== undefined && !(size > 0)) {
+    throw new p5Error(
+      `axisScale() was expecting a positive size, received ${size} instead`
+    );
+  }
+  this._axisScale = { x: xScale, y: yScale, size };
+};
+
+/**
+ * Returns the scales set by axisScale(), with functions to map values
+ * to coordinates and back.
+ *
+ * @returns {Object} containing the x and y scales
+ */
+p5.prototype._axisScales = function () {
+  const { x, y, size } = this._axisScale;
+  const length = size ?? (this._viewport ? 1 : 100);
+  return { x: createScale(x, length), y: createScale(y, length) };
+};
+
+/**
+ * Maps a value to its x-coordinate on the axis set by axisScale(). Values
+ * that are not positive map to -Infinity on a logarithmic axis.
+ *
+ * @param {Number} value the value to map
+ * @returns {Number} the value's x-coordinate
+ */
+p5.prototype.scaleX = function (value) {
+  return this._axisScales().x.forward(value);
+};
+
+/**
+ * Maps a value to its y-coordinate on the axis set by axisScale(). Values
+ * that are not positive map to -Infinity on a logarithmic axis.
+ *
+ * @param {Number} value the value to map
+ * @returns {Number} the value's y-coordinate
+ */
+p5.prototype.scaleY = function (value) {
+  return this._axisScales().y.forward(value);
+};
+
+/**
+ * Maps an x-coordinate back to its value on the axis set by axisScale(),
+ * for example to read off the value under mouse().
+ *
+ * @param {Number} x the x-coordinate
+ * @returns {Number} the value at that x-coordinate
+ */
+p5.prototype.unscaleX = function (x) {
+  return this._axisScales().x.inverse(x);
+};
+
+/**
+ * Maps a y-coordinate back to its value on the axis set by axisScale().
+ *
+ * @param {Number} y the y-coordinate
+ * @returns {Number} the value at that y-coordinate
+ */
+p5.prototype.unscaleY = function (y) {
+  return this._axisScales().y.inverse(y);
 };
 
+/**
+ * Inverts a 2D transform given as the arguments to applyMatrix().
+ *
+ * @param {Number[]} m the transform [a, b, c, d, e, f]
+ * @returns {Number[]} the inverse transform [a, b, c, d, e, f]
+ */
+function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [
+    d / det,
+    -b / det,
+    -c / det,
+    a / det,
+    (c * f - d * e) / det,
+    (b * e - a * f) / det,
+  ];
+}
+
+/**
+ * Applies a 2D transform given as the arguments to applyMatrix() to a point.
+ *
+ * @param {Number[]} m the transform [a, b, c, d, e, f]
+ * @param {Number} x   the x-coordinate of the point
+ * @param {Number} y   the y-coordinate of the point
+ * @returns {Object} containing the transformed x and y-coordinates
+ */
+function transformPoint([a, b, c, d, e, f], x, y) {
+  return { x: a * x + c * y + e, y: b * x + d * y + f };
+}
+
 p5.prototype.registerMethod("pre", function () {
   this._applyCoordinateModeBeforeDraw();
 });
@@ -96,19 +535,48 @@ p5.prototype.registerMethod("pre", function () {
 // Strive Extensions
 // ====================================
 
+// The colors that plots, charts and vectors take in turn. The first is
+// the default for anything drawn in a single color.
+p5.prototype._palette = [
+  "hotpink",
+  "deepskyblue",
+  "orange",
+  "lime",
+  "violet",
+  "gold",
+];
+
 p5.prototype._createCanvas = p5.prototype.createCanvas;
 p5.prototype.createCanvas = function () {
   const res = this._createCanvas(...arguments);
   this._applyCoordinateModeBeforeDraw();
+  if (this._viewport) {
+    this.strokeWeight(1);
+  }
   return res;
 };
 
+p5.prototype._strokeWeight = p5.prototype.strokeWeight;
+p5.prototype.strokeWeight = function (weight) {
+  // WEBGL already draws strokes in pixels regardless of scale.
+  if (this._renderer?.isP3D) {
+    return this._strokeWeight(...arguments);
+  }
+  // Keep stroke weights in pixels regardless of the viewport and zoom.
+  const ppu = this._pixelsPerUnit();
+  return this._strokeWeight(weight / Math.sqrt(ppu.x * ppu.y));
+};
+
 p5.prototype._text = p5.prototype.text;
 p5.prototype.text = function (str, x, y) {
-  if (this._coordinateMode === this.BOTTOM_LEFT) {
+  const ppu = this._pixelsPerUnit();
+  if (this._isYUp() || ppu.x !== 1 || ppu.y !== 1) {
+    // Undo the coordinate mode's flip and scale so that text is drawn
+    // upright and sized in pixels.
     this.push();
-    this.scale(1, -1);
-    this._text(str, x, -y);
+    this.translate(x, y);
+    this.scale(1 / ppu.x, (this._isYUp() ? -1 : 1) / ppu.y);
+    this._text(str, 0, 0);
     this.pop();
   } else {
     this._text(str, x, y);
@@ -127,21 +595,23 @@ p5.prototype.image = function (
   sWidth,
   sHeight
 ) {
-  if (this._coordinateMode === this.BOTTOM_LEFT) {
-    this._setCoordinateModeTopLeft();
-
+  if (this._isYUp()) {
     let defH = img.height;
     if (img.elt && img.elt.videoWidth && !img.canvas) {
       // video no canvas
       defH = img.elt.videoHeight;
     }
 
+    // Flip the image about its own bottom edge so that it is drawn upright
+    // with (x, y) as its bottom left corner.
     const _height = height ?? defH;
-    arguments[2] = this.height - y - _height;
-
+    this.push();
+    this.translate(x, y + _height);
+    this.scale(1, -1);
+    arguments[1] = 0;
+    arguments[2] = 0;
     this._image(...arguments);
-
-    this._setCoordinateModeBottomLeft();
+    this.pop();
   } else {
     this._image(...arguments);
   }
@@ -149,51 +619,68 @@ p5.prototype.image = function (
 
 p5.prototype.__updateNextMouseCoords = p5.prototype._updateNextMouseCoords;
 p5.prototype._updateNextMouseCoords = function (evt) {
-  if (this._coordinateMode === this.BOTTOM_LEFT && !this._renderer?.isP3D) {
-    const _evt = {
-      clientX: evt.clientX,
-      clientY: this.height - evt.clientY,
-      movementX: evt.movementX,
-      movementY: -evt.movementY,
-      touches:
-        evt.touches &&
-        [...evt.touches].map((t) => ({
-          identifier: t.identifier,
-          clientX: t.clientX,
-          clientY: this.height - t.clientY,
-        })),
-      changedTouches:
-        evt.changedTouches &&
-        [...evt.changedTouches].map((t) => ({
-          identifier: t.identifier,
-          clientX: t.clientX,
-          clientY: this.height - t.clientY,
-        })),
-    };
-    this.__updateNextMouseCoords(_evt);
-  } else {
-    this.__updateNextMouseCoords(...arguments);
+  const firstInteraction = !this._hasMouseInteracted;
+  this.__updateNextMouseCoords(...arguments);
+
+  // p5 only moves the mouse when the event has a position.
+  if (this._curElement !== null && (!evt.touches || evt.touches.length > 0)) {
+    this._canvasMouse = { x: this.mouseX, y: this.mouseY };
+    this._updateMouseFromCanvas();
+    if (this._isYUp()) {
+      this._setProperty("movedY", -this.movedY);
+    }
+  }
+  if (firstInteraction) {
+    // For first draw, make previous and next equal
+    this._updateMouseCoords();
   }
 };
 
 p5.prototype.__updateTouchCoords = p5.prototype._updateTouchCoords;
 p5.prototype._updateTouchCoords = function (evt) {
-  if (this._coordinateMode === this.BOTTOM_LEFT && !this._renderer?.isP3D) {
-    const _evt = {
-      touches: [...evt.touches].map((t) => ({
-        identifier: t.identifier,
-        clientX: t.clientX,
-        clientY: this.height - t.clientY,
-      })),
-      changedTouches: [...evt.changedTouches].map((t) => ({
-        identifier: t.identifier,
-        clientX: t.clientX,
-        clientY: this.height - t.clientY,
-      })),
-    };
-    this.__updateTouchCoords(_evt);
-  } else {
-    this.__updateTouchCoords(...arguments);
+  this.__updateTouchCoords(...arguments);
+  this._canvasTouches = this.touches;
+  this._updateMouseFromCanvas();
+};
+
+// The mouse and touches in canvas pixels as reported by p5.
+p5.prototype._canvasMouse = null;
+p5.prototype._canvasTouches = [];
+
+/**
+ * Converts the mouse and touches from canvas pixels to the current
+ * coordinate mode.
+ */
+p5.prototype._updateMouseFromCanvas = function () {
+  if (this._canvasMouse) {
+    const m = this._canvasToCoordinateMode(
+      this._canvasMouse.x,
+      this._canvasMouse.y
+    );
+    this._setProperty("mouseX", m.x);
+    this._setProperty("mouseY", m.y);
+  }
+  const touches = this._canvasTouches.map((t) => ({
+    ...t,
+    ...this._canvasToCoordinateMode(t.x, t.y),
+  }));
+  this._setProperty("touches", touches);
+};
+
+p5.prototype._orbitControl = p5.prototype.orbitControl;
+p5.prototype.orbitControl = function () {
+  // orbitControl() expects the mouse in canvas pixels.
+  const { mouseX, mouseY, pmouseX, pmouseY } = this;
+  const m = this._coordinateModeToCanvas(mouseX, mouseY);
+  const pm = this._coordinateModeToCanvas(pmouseX, pmouseY);
+  this.mouseX = m.x;
+  this.mouseY = m.y;
+  this.pmouseX = pm.x;
+  this.pmouseY = pm.y;
+  try {
+    return this._orbitControl(...arguments);
+  } finally {
+    Object.assign(this, { mouseX, mouseY, pmouseX, pmouseY });
   }
 };
 
@@ -219,7 +706,7 @@ p5.prototype.radians = function (degrees) {
  * @param {*} size size of the star vertexes
  */
 p5.prototype.star = function (x, y, size) {
-  let angle = this._coordinateMode === this.BOTTOM_LEFT ? 90 : -90;
+  let angle = this._isYUp() ? 90 : -90;
   this.beginShape();
   for (let i = 0; i < 5; i++) {
     this.vertex(
@@ -248,6 +735,17 @@ p5.prototype.wave = function (minNum, maxNum, speed) {
   return this.map(-Math.cos(v * this.TAU), -1, 1, minNum, maxNum);
 };
 
+/**
+ * Whether text can be drawn. WEBGL can only draw text once a font has been
+ * loaded and set with textFont().
+ *
+ * @returns {Boolean}
+ */
+p5.prototype._canDrawText = function () {
+  const font = this._renderer?._textFont;
+  return !this._renderer?.isP3D || (!!font && typeof font !== "string");
+};
+
 /**x
  * Draws text that always "correctly", regardless of the coordinate system.
  *
@@ -256,22 +754,40 @@ p5.prototype.wave = function (minNum, maxNum, speed) {
  * @param {*} y   the y-coordinate of the text
  */
 p5.prototype.responsiveText = function (val, x, y) {
-  let xScale,
-    yScale = 1;
-  if (!this._renderer?.isP3D) {
+  let xScale, yScale;
+  if (this._renderer?.isP3D) {
+    const mv = this._renderer.uMVMatrix.mat4;
+    xScale = Math.sign(mv[0]);
+    yScale = Math.sign(mv[5]);
+  } else {
     const transform_matrix = this.drawingContext.getTransform();
     xScale = Math.sign(transform_matrix.a);
     yScale = Math.sign(transform_matrix.d);
   }
+  // Keep the text sized in pixels when a viewport scales the coordinates.
+  const ppu = this._pixelsPerUnit();
   this.push();
-  this.scale(xScale, yScale);
-  this._text(val, x, -y);
+  this.scale(xScale / ppu.x, yScale / ppu.y);
+  this._text(val, x * ppu.x, -y * ppu.y);
   this.pop();
 };
 
 /**
  * Draws x and y-axes with tick marks, labels, and gridlines.
  *
+ * Either pass the arguments below in order, or a single options object
+ * using the same names along with any of these extra options:
+ *
+ *   xSpacing, ySpacing   the spacing along one axis (defaults to spacing)
+ *   minorTicks           the number of minor ticks between major ticks
+ *   xTitle, yTitle       titles drawn at the positive end of each axis
+ *   xFormat, yFormat     formats the labels, either a function from a
+ *                        number to a String or one of "pi", "fraction",
+ *                        "degrees" or "percent" (format sets both)
+ *   showGrid             whether to draw gridlines
+ *   showXAxis, showYAxis whether to draw each axis with its ticks and labels
+ *   quadrants            which quadrants to draw, e.g. [1] or [1, 4]
+ *
  * @param {Number} scaleFactor    the scale factor applied to the coordinate system
  *                                prior to drawing the axes
  * @param {Number} spacing        the spacing between tick marks / gridlines
@@ -284,115 +800,1109 @@ p5.prototype.responsiveText = function (val, x, y) {
  * @param {Number} gridThickness  the thickness to draw the gridlines
  */
 p5.prototype.drawTickAxes = function (
-  scaleFactor = 1,
-  spacing = 50,
-  axisColor = "rgb(20,45,217)",
-  gridColor = "rgba(255,255,255,0.6)",
-  labelColor = "white",
-  labelSize = 12,
-  axisThickness = 5,
-  tickThickness = 3,
-  gridThickness = 0.25
+  scaleFactor,
+  spacing,
+  axisColor,
+  gridColor,
+  labelColor,
+  labelSize,
+  axisThickness,
+  tickThickness,
+  gridThickness
 ) {
+  const options =
+    scaleFactor !== null && typeof scaleFactor === "object"
+      ? scaleFactor
+      : {
+          scaleFactor,
+          spacing,
+          axisColor,
+          gridColor,
+          labelColor,
+          labelSize,
+          axisThickness,
+          tickThickness,
+          gridThickness,
+        };
+  const o = this._tickAxesOptions(options);
+
+  // The size of one pixel in the coordinate system's units.
+  const ppu = this._pixelsPerUnit();
+  const px = 1 / (ppu.x * o.scaleFactor);
+  const py = 1 / (ppu.y * o.scaleFactor);
+  const bounds = o.bounds;
+
+  // Which halves of each axis belong to the quadrants being drawn.
+  const q = new Set(o.quadrants);
+  const xPos = q.has(1) || q.has(4);
+  const xNeg = q.has(2) || q.has(3);
+  const yPos = q.has(1) || q.has(2);
+  const yNeg = q.has(3) || q.has(4);
+  const xLo = xNeg ? bounds.xMin : Math.max(bounds.xMin, 0);
+  const xHi = xPos ? bounds.xMax : Math.min(bounds.xMax, 0);
+  const yLo = yNeg ? bounds.yMin : Math.max(bounds.yMin, 0);
+  const yHi = yPos ? bounds.yMax : Math.min(bounds.yMax, 0);
+  // The extent of a gridline through the quadrants on one side of an axis.
+  const across = (value, posA, posB, negA, negB, lo, hi) => {
+    if (value > 0) return [posB ? lo : 0, posA ? hi : 0];
+    if (value < 0) return [negB ? lo : 0, negA ? hi : 0];
+    return [lo, hi];
+  };
+  const rowExtent = (y) =>
+    across(y, q.has(1), q.has(2), q.has(4), q.has(3), xLo, xHi);
+  const columnExtent = (x) =>
+    across(x, q.has(1), q.has(4), q.has(2), q.has(3), yLo, yHi);
+
+  // Labels sit on the positive side of the other axis when it is drawn.
+  const xLabelSide = yPos ? 1 : -1;
+  const yLabelSide = xPos ? 1 : -1;
+  const yDir = this._isYUp() ? 1 : -1;
+  const drawLabels = this._canDrawText();
+  const drawLabel = (str, x, y) => this.responsiveText(str, x, y * yDir);
+
   this.push();
-  this.textSize(labelSize / scaleFactor);
+  this.textSize(o.labelSize / o.scaleFactor);
   this.textAlign(this.CENTER, this.CENTER);
-  const yDir = this._coordinateMode === this.TOP_LEFT ? -1 : 1;
-  for (let y = 0; y < this.height / scaleFactor; y += spacing / scaleFactor) {
-    // tickmarks
-    this.stroke(axisColor);
-    this.strokeWeight(tickThickness / scaleFactor);
-    this.line(5 / scaleFactor, y, -5 / scaleFactor, y);
-    this.line(5 / scaleFactor, -y, -5 / scaleFactor, -y);
-
-    // labels
-    if (y !== 0) {
-      this.fill(labelColor);
-      this.noStroke();
-      this.responsiveText(y, 2 * this.textSize(), y * yDir);
-      this.responsiveText(-y, 2 * this.textSize(), -y * yDir);
+
+  // gridlines
+  if (o.showGrid) {
+    this.stroke(this.color(o.gridColor));
+    for (const { value, minor } of o.yTicks(yLo, yHi)) {
+      const [from, to] = rowExtent(value);
+      this.strokeWeight((minor ? 0.5 : 1) * (o.gridThickness / o.scaleFactor));
+      if (from !== to) this.line(from, value, to, value);
     }
+    for (const { value, minor } of o.xTicks(xLo, xHi)) {
+      const [from, to] = columnExtent(value);
+      this.strokeWeight((minor ? 0.5 : 1) * (o.gridThickness / o.scaleFactor));
+      if (from !== to) this.line(value, from, value, to);
+    }
+  }
+
+  // y-axis
+  if (o.showYAxis) {
+    for (const { value, minor, label } of o.yTicks(yLo, yHi)) {
+      const len = minor ? 3 : 5;
+      this.stroke(o.axisColor);
+      this.strokeWeight(o.tickThickness / o.scaleFactor);
+      this.line(len * px, value, -len * px, value);
 
-    // gridlines
-    this.strokeWeight(gridThickness / scaleFactor);
-    this.stroke(this.color(gridColor));
-    this.line(-this.width / scaleFactor, y, this.width / scaleFactor, y);
-    this.line(-this.width / scaleFactor, -y, this.width / scaleFactor, -y);
+      if (!minor && label !== null && drawLabels) {
+        this.fill(o.labelColor);
+        this.noStroke();
+        drawLabel(label, yLabelSide * 2 * o.labelSize * px, value);
+      }
+    }
+    this.stroke(o.axisColor);
+    this.strokeWeight(o.axisThickness / o.scaleFactor);
+    this.line(0, yLo, 0, yHi);
+    if (o.yTitle && drawLabels) {
+      // at the end of the axis, opposite the labels
+      const end = yPos ? yHi : yLo;
+      this.fill(o.labelColor);
+      this.noStroke();
+      this.textAlign(yLabelSide > 0 ? this.RIGHT : this.LEFT, this.CENTER);
+      drawLabel(
+        o.yTitle,
+        -yLabelSide * o.labelSize * px,
+        end - Math.sign(end) * o.labelSize * py
+      );
+      this.textAlign(this.CENTER, this.CENTER);
+    }
   }
 
-  for (let x = 0; x < this.width / scaleFactor; x += spacing / scaleFactor) {
-    // tickmarks
-    this.stroke(axisColor);
-    this.strokeWeight(tickThickness / scaleFactor);
-    this.line(x, 5 / scaleFactor, x, -5 / scaleFactor);
-    this.line(-x, 5 / scaleFactor, -x, -5 / scaleFactor);
+  // x-axis
+  if (o.showXAxis) {
+    for (const { value, minor, label } of o.xTicks(xLo, xHi)) {
+      const len = minor ? 3 : 5;
+      this.stroke(o.axisColor);
+      this.strokeWeight(o.tickThickness / o.scaleFactor);
+      this.line(value, len * py, value, -len * py);
 
-    // labels
-    if (x !== 0) {
-      this.fill(labelColor);
+      if (!minor && label !== null && drawLabels) {
+        this.fill(o.labelColor);
+        this.noStroke();
+        drawLabel(label, value, xLabelSide * 1.5 * o.labelSize * py);
+      }
+    }
+    this.stroke(o.axisColor);
+    this.strokeWeight(o.axisThickness / o.scaleFactor);
+    this.line(xLo, 0, xHi, 0);
+    if (o.xTitle && drawLabels) {
+      // at the end of the axis, opposite the labels
+      const end = xPos ? xHi : xLo;
+      this.fill(o.labelColor);
       this.noStroke();
-      this.responsiveText(x, x, yDir * 1.5 * this.textSize());
-      this.responsiveText(-x, -x, 1.5 * this.textSize());
+      this.textAlign(xPos ? this.RIGHT : this.LEFT, this.CENTER);
+      drawLabel(
+        o.xTitle,
+        end - Math.sign(end) * o.labelSize * px,
+        -xLabelSide * 1.5 * o.labelSize * py
+      );
+      this.textAlign(this.CENTER, this.CENTER);
     }
+  }
 
-    // gridlines
-    this.strokeWeight(gridThickness / scaleFactor);
-    this.stroke(this.color(gridColor));
-    this.line(x, -this.height, x, this.height);
-    this.line(-x, -this.height, -x, this.height);
+  // origin, labeled with 1 (as a power) if an axis is logarithmic
+  if (o.showXAxis && o.showYAxis && drawLabels) {
+    let origin = 0;
+    if (o.xScale.type !== "linear") origin = o.xFormat(1);
+    else if (o.yScale.type !== "linear") origin = o.yFormat(1);
+    this.fill(o.labelColor);
+    this.noStroke();
+    drawLabel(
+      origin,
+      yLabelSide * o.labelSize * px,
+      xLabelSide * o.labelSize * py
+    );
   }
-  this.stroke(axisColor);
-  this.strokeWeight(axisThickness / scaleFactor);
-  // x-axis
-  this.line(-this.width / scaleFactor, 0, this.width / scaleFactor, 0);
-  // y-axis
-  this.line(0, this.height / scaleFactor, 0, -this.height / scaleFactor);
-  // origin
-  this.fill(labelColor);
-  this.noStroke();
-  this.responsiveText(0, this.textSize(), this.textSize());
   this.pop();
 };
 
 /**
- * Draws a simple arrow given its tail (x,y) and head (x,y).
- * Adapted from the p5.js documentation for p5.Vector.
+ * Fills in the defaults for drawTickAxes() and works out the distance
+ * between ticks along each axis.
  *
- * @param {Number} tailX the x-coordinate of the arrow's tail
- * @param {Number} tailY the y-coordinate of the arrow's tail
- * @param {Number} headX the x-coordinate of the arrow's head
- * @param {Number} headY the y-coordinate of the arrow's head
+ * @param {Object} options the options passed to drawTickAxes()
+ * @returns {Object} the complete options
  */
-p5.prototype.arrow = function (tailX, tailY, headX, headY) {
-  let x = headX - tailX;
-  let y = headY - tailY;
+p5.prototype._tickAxesOptions = function (options) {
+  const o = {
+    scaleFactor: options.scaleFactor ?? 1,
+    spacing: options.spacing ?? (this._viewport ? this.AUTO : 50),
+    axisColor: options.axisColor ?? "rgb(20,45,217)",
+    gridColor: options.gridColor ?? "rgba(255,255,255,0.6)",
+    labelColor: options.labelColor ?? "white",
+    labelSize: options.labelSize ?? 12,
+    axisThickness: options.axisThickness ?? 5,
+    tickThickness: options.tickThickness ?? 3,
+    gridThickness: options.gridThickness ?? 0.25,
+    minor: options.minorTicks ?? 0,
+    xTitle: options.xTitle ?? "",
+    yTitle: options.yTitle ?? "",
+    showGrid: options.showGrid ?? true,
+    showXAxis: options.showXAxis ?? true,
+    showYAxis: options.showYAxis ?? true,
+    quadrants: options.quadrants ?? [1, 2, 3, 4],
+  };
+  const scales = this._axisScales();
+  o.xScale = scales.x;
+  o.yScale = scales.y;
+  // Logarithmic axes are labeled with powers unless given a format.
+  const xFormat = options.xFormat ?? options.format;
+  const yFormat = options.yFormat ?? options.format;
+  o.xFormat =
+    xFormat === undefined ? o.xScale.format : tickLabelFormat(xFormat);
+  o.yFormat =
+    yFormat === undefined ? o.yScale.format : tickLabelFormat(yFormat);
+  o.bounds = this._visibleBounds(o.scaleFactor);
 
-  this.push();
+  const xSpacing = options.xSpacing ?? o.spacing;
+  const ySpacing = options.ySpacing ?? o.spacing;
+  const pixels = this._localPixelsPerUnit(o.scaleFactor);
+  // Halve or double the spacing as panZoomControl() zooms in or out.
+  const zoomStep = Math.pow(2, Math.round(Math.log2(this._panZoom.zoom)));
 
-  this.translate(tailX, tailY);
-  this.line(0, 0, x, y);
+  // x labels sit side by side, so they need their width plus a gap
+  const xSpace = (value) =>
+    this._labelWidth(o.xFormat(value), o.labelSize) + o.labelSize;
+  // y labels are stacked, so they need their height plus a gap
+  const ySpace = () => 2 * o.labelSize;
 
-  if (x >= 0) {
-    this.rotate(this.atan(y / x));
+  if (o.xScale.type !== "linear") {
+    // Steps on logarithmic axes are whole numbers of powers.
+    const widest = xSpace(o.xScale.inverse(o.bounds.xMin));
+    o.xStep = logTickStep(o.xScale.size * pixels.x, widest) * o.xScale.size;
+  } else if (xSpacing === this.AUTO) {
+    o.xStep = autoTickStep(o.bounds.xMin, o.bounds.xMax, pixels.x, xSpace);
   } else {
-    this.rotate(this.PI + this.atan(y / x));
+    o.xStep = xSpacing / zoomStep / o.scaleFactor;
+  }
+  if (o.yScale.type !== "linear") {
+    o.yStep = logTickStep(o.yScale.size * pixels.y, ySpace()) * o.yScale.size;
+  } else if (ySpacing === this.AUTO) {
+    o.yStep = autoTickStep(o.bounds.yMin, o.bounds.yMax, pixels.y, ySpace);
+  } else {
+    o.yStep = ySpacing / zoomStep / o.scaleFactor;
   }
 
-  let arrowSize = 7;
-  this.translate(this.dist(0, 0, x, y) - arrowSize, 0);
-  this.triangle(0, arrowSize / 2, 0, -arrowSize / 2, arrowSize, 0);
-
-  this.pop();
+  // Lists the ticks between two coordinates on an axis, with their labels.
+  // The origin is labeled on its own.
+  const ticks = (scale, step, format) => (lo, hi) => {
+    const log = scale.type !== "linear";
+    const values = log
+      ? scaleTicks(
+          scale,
+          scale.inverse(lo),
+          scale.inverse(hi),
+          Math.round(step / scale.size),
+          options.minorTicks !== 0
+        )
+      : tickValues(lo, hi, step, o.minor);
+    return values.map(({ value, minor }) => ({
+      value: scale.forward(value),
+      minor,
+      label: scale.forward(value) === 0 ? null : format(value),
+    }));
+  };
+  o.xTicks = ticks(o.xScale, o.xStep, o.xFormat);
+  o.yTicks = ticks(o.yScale, o.yStep, o.yFormat);
+  return o;
 };
 
 /**
- * Draws a set of x, y, and z-axes along with translucent planes.
+ * Draws polar axes centered on the origin: concentric rings, spokes at
+ * equal angles, and labels for both. Angles follow the current
+ * angleMode() and are measured from the positive x-axis towards the
+ * positive y-axis, the same as plotPolar() and mousePolar().
  *
- * @param {Number} size  the extent of the axes
- * @param {p5.Color} clr the color to render the planes oriented along each axis
+ * @param {Object} options the options described in the README (Optional)
  */
-p5.prototype.draw3DAxes = function (size, clr = "violet") {
-  const _clr = this.color(clr);
+p5.prototype.drawPolarAxes = function (options = {}) {
+  const spacing = options.spacing ?? (this._viewport ? this.AUTO : 50);
+  const angleStep = options.angleStep ?? this._fullTurn() / 12;
+  const axisColor = options.axisColor ?? "rgb(20,45,217)";
+  const gridColor = options.gridColor ?? "rgba(255,255,255,0.6)";
+  const labelColor = options.labelColor ?? "white";
+  const labelSize = options.labelSize ?? 12;
+  const format = tickLabelFormat(options.format);
+  const angleFormat = tickLabelFormat(
+    options.angleFormat ?? (this._angleMode === this.DEGREES ? "degrees" : "pi")
+  );
+
+  const bounds = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  // The rings reach the farthest visible corner.
+  const maxRadius =
+    options.maxRadius ??
+    Math.max(
+      ...[bounds.xMin, bounds.xMax].flatMap((x) =>
+        [bounds.yMin, bounds.yMax].map((y) => Math.hypot(x, y))
+      )
+    );
+  const pixelsPerUnit = Math.min(pixels.x, pixels.y);
+  const step =
+    spacing === this.AUTO
+      ? autoTickStep(
+          0,
+          maxRadius,
+          pixelsPerUnit,
+          (r) => this._labelWidth(format(r), labelSize) + labelSize
+        )
+      : spacing;
+  const rings = tickValues(step, maxRadius, step).map((t) => t.value);
+  const turn = this._fullTurn();
+  const spokes = [];
+  for (let k = 0; k * angleStep < turn - 1e-9 && k < 360; k++) {
+    spokes.push(k * angleStep);
+  }
+
+  this.push();
+  this.noFill();
+  this.stroke(this.color(gridColor));
+  this._pixelStrokeWeight(options.gridThickness ?? 0.5);
+  for (const r of rings) {
+    this.ellipse(0, 0, 2 * r, 2 * r);
+  }
+  for (const theta of spokes) {
+    this.line(0, 0, maxRadius * this.cos(theta), maxRadius * this.sin(theta));
+  }
+  // the polar axis, from which angles are measured
+  this.stroke(this.color(axisColor));
+  this._pixelStrokeWeight(options.axisThickness ?? 3);
+  this.line(0, 0, maxRadius, 0);
+
+  if ((options.showLabels ?? true) && this._canDrawText()) {
+    this.noStroke();
+    this.fill(this.color(labelColor));
+    this.textSize(labelSize);
+    // Ring labels sit just past each ring, below the polar axis unless
+    // that is off the canvas.
+    let below = (this._isYUp() ? -1 : 1) * (labelSize / pixels.y);
+    if (below < bounds.yMin || below > bounds.yMax) below = -below;
+    this.textAlign(this.LEFT, this.CENTER);
+    for (const r of rings) {
+      this.text(format(r), r + 4 / pixels.x, below);
+    }
+
+    // Angle labels sit on a circle just inside the visible part of the
+    // canvas, leaving out spokes that cannot be seen.
+    const margin = 1.5 * labelSize;
+    const inside = {
+      xMin: bounds.xMin + margin / pixels.x,
+      xMax: bounds.xMax - margin / pixels.x,
+      yMin: bounds.yMin + margin / pixels.y,
+      yMax: bounds.yMax - margin / pixels.y,
+    };
+    // The radii at which a spoke is inside that part of the canvas.
+    const reach = (theta) => {
+      let [lo, hi] = [0, Infinity];
+      const clamp = (d, min, max) => {
+        if (Math.abs(d) < 1e-9) {
+          if (min > 0 || max < 0) hi = -Infinity;
+          return;
+        }
+        const [a, b] = [min / d, max / d].sort((p, q) => p - q);
+        lo = Math.max(lo, a);
+        hi = Math.min(hi, b);
+      };
+      clamp(this.cos(theta), inside.xMin, inside.xMax);
+      clamp(this.sin(theta), inside.yMin, inside.yMax);
+      return { lo, hi };
+    };
+    const visible = spokes.filter((theta) => {
+      const { lo, hi } = reach(theta);
+      return hi > lo;
+    });
+    const labelRadius =
+      options.labelRadius ??
+      Math.min(maxRadius, ...visible.map((theta) => reach(theta).hi));
+    this.textAlign(this.CENTER, this.CENTER);
+    for (const theta of visible) {
+      if (reach(theta).lo > labelRadius) continue;
+      // Round away the error from adding up steps such as π/6.
+      const angle = parseFloat(theta.toPrecision(12));
+      const x = labelRadius * this.cos(theta);
+      const y = labelRadius * this.sin(theta);
+      this.text(angleFormat(angle), x, y);
+    }
+  }
+  this.pop();
+};
+
+/**
+ * Draws a number line from min to max with ticks and labels.
+ *
+ * Intervals mark the solutions of inequalities with closed or open
+ * endpoints, jumps show addition and subtraction as arrows, and points
+ * made with createNumberLinePoint() can be dragged along the line,
+ * snapping to the nearest tick.
+ *
+ * @param {Number} min     the smallest value on the line
+ * @param {Number} max     the largest value on the line
+ * @param {Object} options the number line's options (Optional)
+ * @returns {Object} containing toPosition() and toValue(), which convert
+ *                   between values and points on the line
+ */
+p5.prototype.drawNumberLine = function (min, max, options = {}) {
+  if (typeof min !== "number" || typeof max !== "number" || !(min < max)) {
+    throw new p5Error(
+      `drawNumberLine() was expecting a minimum smaller than its maximum, received ${min} and ${max} instead`
+    );
+  }
+  const bounds = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  const margin = 40 / pixels.x;
+  const x = options.x ?? bounds.xMin + margin;
+  const y = options.y ?? (bounds.yMin + bounds.yMax) / 2;
+  const length = options.length ?? bounds.xMax - bounds.xMin - 2 * margin;
+  const axisColor = options.axisColor ?? "rgb(20,45,217)";
+  const labelColor = options.labelColor ?? "white";
+  const labelSize = options.labelSize ?? 12;
+  const format = tickLabelFormat(options.format);
+  const minorTicks = options.minorTicks ?? 0;
+  const step =
+    options.step ??
+    autoTickStep(
+      min,
+      max,
+      (length / (max - min)) * pixels.x,
+      (value) => this._labelWidth(format(value), labelSize) + labelSize
+    );
+  const snap = options.snap ?? step / (minorTicks + 1);
+
+  const toPosition = (value) => ({
+    x: x + ((value - min) / (max - min)) * length,
+    y,
+  });
+  const toValue = (px) => min + ((px - x) / length) * (max - min);
+  // Offsets across the line are measured in pixels, upwards on screen.
+  const up = (offset) => y + ((this._isYUp() ? 1 : -1) * offset) / pixels.y;
+  // The line runs past its ends so that rays can reach the arrowheads.
+  const overhang = 16 / pixels.x;
+  const ends = [x - overhang, x + length + overhang];
+  const at = (value) => {
+    if (value < min) return ends[0];
+    if (value > max) return ends[1];
+    return toPosition(value).x;
+  };
+  const dot = (px, py, filled, clr) => {
+    this.stroke(this.color(clr));
+    this._pixelStrokeWeight(2);
+    if (filled) this.fill(this.color(clr));
+    else this.noFill();
+    this.ellipse(px, py, 12 / pixels.x, 12 / pixels.y);
+  };
+  const showLabels = (options.showLabels ?? true) && this._canDrawText();
+
+  this.push();
+  this.stroke(this.color(axisColor));
+  this._pixelStrokeWeight(options.axisThickness ?? 3);
+  this.line(ends[0], y, ends[1], y);
+  this._arrowhead(ends[0], y, -1, 0, 10, this.color(axisColor));
+  this._arrowhead(ends[1], y, 1, 0, 10, this.color(axisColor));
+
+  const ticks = tickValues(min, max, step, minorTicks);
+  this._pixelStrokeWeight(options.tickThickness ?? 2);
+  for (const tick of ticks) {
+    const half = tick.minor ? 4 : 8;
+    const px = toPosition(tick.value).x;
+    this.line(px, up(-half), px, up(half));
+  }
+  if (showLabels) {
+    this.noStroke();
+    this.fill(this.color(labelColor));
+    this.textSize(labelSize);
+    this.textAlign(this.CENTER, this.CENTER);
+    for (const tick of ticks) {
+      if (tick.minor) continue;
+      this.text(
+        format(tick.value),
+        toPosition(tick.value).x,
+        up(-8 - labelSize)
+      );
+    }
+  }
+
+  // Intervals run along the line, with a closed dot on endpoints that are
+  // included and an open one on those that are not.
+  for (const interval of options.intervals ?? []) {
+    const from = interval.from ?? -Infinity;
+    const to = interval.to ?? Infinity;
+    const clr = interval.color ?? "gold";
+    this.stroke(this.color(clr));
+    this._pixelStrokeWeight(6);
+    // Stop short of open dots so that they look hollow.
+    const gap = 6 / pixels.x;
+    const left = at(from) + (interval.openFrom && from >= min ? gap : 0);
+    const right = at(to) - (interval.openTo && to <= max ? gap : 0);
+    this.line(left, y, right, y);
+    if (from < min) this._arrowhead(ends[0], y, -1, 0, 12, this.color(clr));
+    if (to > max) this._arrowhead(ends[1], y, 1, 0, 12, this.color(clr));
+    if (from >= min) dot(at(from), y, !interval.openFrom, clr);
+    if (to <= max) dot(at(to), y, !interval.openTo, clr);
+  }
+
+  // Points are numbers or draggable points that snap to the ticks.
+  for (const point of options.points ?? []) {
+    if (!(point instanceof NumberLinePoint)) {
+      dot(toPosition(point).x, y, true, options.pointColor ?? "red");
+      continue;
+    }
+    if (point.isMovable) {
+      let value = toValue(this.mouse().x);
+      if (snap)
+        value = parseFloat((Math.round(value / snap) * snap).toPrecision(12));
+      point.value = Math.min(max, Math.max(min, value));
+    }
+    point.x = toPosition(point.value).x;
+    point.y = y;
+    point.d = 16 / pixels.x;
+    point.makeMovable();
+    const active = point.isMovable || point.isMouseHovering();
+    dot(point.x, y, true, point.clr);
+    if (active) {
+      this.stroke(this.color(labelColor));
+      this.noFill();
+      this.ellipse(point.x, y, 18 / pixels.x, 18 / pixels.y);
+      if (showLabels) {
+        this.noStroke();
+        this.fill(this.color(labelColor));
+        this.text(format(point.value), point.x, up(8 + labelSize));
+      }
+    }
+  }
+
+  // Jumps arc over the line from one value to another, landing on top
+  // of the dots there.
+  for (const jump of options.jumps ?? []) {
+    const clr = this.color(jump.color ?? "deepskyblue");
+    const start = toPosition(jump.from).x;
+    const end = toPosition(jump.from + jump.by).x;
+    const height = Math.min(40, 10 + (Math.abs(end - start) * pixels.x) / 3);
+    const point = (t) => [
+      start + (end - start) * t,
+      up(6 + height * Math.sin(Math.PI * t)),
+    ];
+    this.noFill();
+    this.stroke(clr);
+    this._pixelStrokeWeight(2);
+    this.beginShape();
+    for (let i = 0; i <= 24; i++) {
+      this.vertex(...point(i / 24));
+    }
+    this.endShape();
+    const [bx, by] = point(0.95);
+    this._arrowhead(end, up(6), end - bx, up(6) - by, 10, clr);
+    if (showLabels) {
+      const label =
+        jump.label ??
+        (jump.by < 0 ? `−${format(-jump.by)}` : `+${format(jump.by)}`);
+      this.noStroke();
+      this.fill(clr);
+      this.text(label, (start + end) / 2, up(6 + height + labelSize));
+    }
+  }
+  this.pop();
+  return { toPosition, toValue };
+};
+
+/**
+ * Shows what a 2×2 matrix does to the plane. The grid from drawTickAxes()
+ * is drawn faintly underneath the transformed grid, along with the images
+ * of the basis vectors î and ĵ and of the unit square, whose signed area
+ * is the matrix's determinant.
+ *
+ * Options:
+ *
+ *   unit                 the length of î and ĵ, 1 with a viewport and 50
+ *                        otherwise
+ *   t                    how far to go from the identity to the matrix,
+ *                        from 0 to 1
+ *   duration             animates from the identity over this many seconds
+ *                        each time the matrix changes, unless t is set
+ *   showOriginal         whether to draw the original grid and axes
+ *   showBasis            whether to draw the images of î and ĵ
+ *   showArea             whether to shade the image of the unit square
+ *   showEigenvectors     whether to draw lines along real eigenvectors
+ *   gridColor, iColor, jColor, areaColor, eigenColor
+ *   axes                 options passed to drawTickAxes()
+ *
+ * @param {Number[][]} matrix the matrix as [[a, b], [c, d]] or [a, b, c, d]
+ * @param {Object} options    the options (Optional)
+ * @returns {Object} containing the matrix drawn, along with its
+ *                   determinant and real eigenvalues
+ */
+p5.prototype.drawTransformedGrid = function (matrix, options = {}) {
+  const [a, b, c, d] = matrixEntries(matrix, "drawTransformedGrid()");
+  const unit = options.unit ?? (this._viewport ? 1 : 50);
+
+  let t = options.t;
+  if (t === undefined && options.duration) {
+    // Restart the animation whenever the matrix changes.
+    const key = [a, b, c, d].join();
+    if (this._gridAnimation?.key !== key) {
+      this._gridAnimation = { key, start: this.millis() };
+    }
+    const elapsed = (this.millis() - this._gridAnimation.start) / 1000;
+    const s = Math.min(1, elapsed / options.duration);
+    t = s * s * (3 - 2 * s);
+  }
+  t = t ?? 1;
+  // Moving in a straight line from the identity keeps the eigenvectors.
+  const m = [1 + t * (a - 1), t * b, t * c, 1 + t * (d - 1)];
+  const apply = (x, y) => ({ x: m[0] * x + m[1] * y, y: m[2] * x + m[3] * y });
+  const determinant = m[0] * m[3] - m[1] * m[2];
+
+  const axes = options.axes ?? {};
+  if (options.showOriginal ?? true) {
+    this.drawTickAxes({
+      gridColor: "rgba(255,255,255,0.3)",
+      axisColor: "rgba(20,45,217,0.5)",
+      ...axes,
+    });
+  }
+
+  // Each gridline x = k is mapped to the line through M(k, 0) along
+  // M(0, 1), and likewise for y = k.
+  const gridColor = options.gridColor ?? "rgba(0,191,255,0.7)";
+  const o = this._tickAxesOptions(axes);
+  const bounds = this._visibleBounds();
+  const corners = [
+    [bounds.xMin, bounds.yMin],
+    [bounds.xMax, bounds.yMin],
+    [bounds.xMin, bounds.yMax],
+    [bounds.xMax, bounds.yMax],
+  ];
+  this.push();
+  if (Math.abs(determinant) > 1e-9) {
+    // The part of the original plane that lands on the canvas.
+    const inverse = corners.map(([x, y]) => ({
+      x: (m[3] * x - m[1] * y) / determinant,
+      y: (-m[2] * x + m[0] * y) / determinant,
+    }));
+    const family = (step, along, across) => {
+      const values = inverse.map((p) => p[along]);
+      const first = Math.ceil(Math.min(...values) / step);
+      const last = Math.floor(Math.max(...values) / step);
+      if (last - first > 400) return;
+      for (let k = first; k <= last; k++) {
+        const start = apply(...(along === "x" ? [k * step, 0] : [0, k * step]));
+        const direction = apply(...across);
+        this.drawLineThrough(
+          start.x,
+          start.y,
+          start.x + direction.x,
+          start.y + direction.y,
+          { color: gridColor, thickness: k === 0 ? 3 : 1 }
+        );
+      }
+    };
+    family(o.xStep, "x", [0, 1]);
+    family(o.yStep, "y", [1, 0]);
+  } else {
+    // The plane is squashed onto a line, or a point.
+    const column = m[0] || m[2] ? apply(1, 0) : apply(0, 1);
+    this.drawLineThrough(0, 0, column.x, column.y, {
+      color: gridColor,
+      thickness: 3,
+    });
+  }
+
+  const i = apply(unit, 0);
+  const j = apply(0, unit);
+  if (options.showArea ?? true) {
+    const clr = this.color(options.areaColor ?? "gold");
+    clr.setAlpha(80);
+    this.noStroke();
+    this.fill(clr);
+    this.quad(0, 0, i.x, i.y, i.x + j.x, i.y + j.y, j.x, j.y);
+    if (this._canDrawText()) {
+      clr.setAlpha(255);
+      this.fill(clr);
+      this.textSize(14);
+      this.textAlign(this.CENTER, this.CENTER);
+      const area = parseFloat(determinant.toFixed(2));
+      this.text(`det = ${area}`, (i.x + j.x) / 2, (i.y + j.y) / 2);
+    }
+  }
+
+  // The eigenvectors are found from the full matrix. The matrix drawn
+  // shares them, and each of its eigenvalues is 1 + t(λ - 1).
+  const tr = a + d;
+  const discriminant = tr * tr - 4 * (a * d - b * c);
+  let eigenvectors;
+  if (b === 0 && c === 0) {
+    // A diagonal matrix stretches along both axes, even when it stretches
+    // every direction equally.
+    eigenvectors = [
+      { lambda: a, v: { x: 1, y: 0 } },
+      { lambda: d, v: { x: 0, y: 1 } },
+    ];
+  } else if (discriminant < 0) {
+    eigenvectors = [];
+  } else {
+    eigenvectors = [
+      ...new Set([1, -1].map((s) => (tr + s * Math.sqrt(discriminant)) / 2)),
+    ].map((lambda) => ({
+      lambda,
+      v: b !== 0 ? { x: b, y: lambda - a } : { x: lambda - d, y: c },
+    }));
+  }
+  const drawn = (lambda) => 1 + t * (lambda - 1);
+  const eigenvalues = [...new Set(eigenvectors.map((e) => drawn(e.lambda)))];
+  if ((options.showEigenvectors ?? false) && eigenvectors.length > 0) {
+    const eigenColor = this.color(options.eigenColor ?? "violet");
+    for (const { lambda, v } of eigenvectors) {
+      this.drawLineThrough(0, 0, v.x, v.y, {
+        color: eigenColor,
+        thickness: 2,
+        dash: [8, 6],
+      });
+      // Label the line near where it leaves the canvas.
+      const far = Math.hypot(
+        bounds.xMax - bounds.xMin,
+        bounds.yMax - bounds.yMin
+      );
+      const length = Math.hypot(v.x, v.y);
+      const end = clipSegment(
+        { x: 0, y: 0 },
+        { x: (v.x / length) * far, y: (v.y / length) * far },
+        bounds
+      );
+      if (end) {
+        const label = `λ = ${parseFloat(drawn(lambda).toFixed(2))}`;
+        this._vectorLabel(label, 0, 0, 1.6 * end[1].x, 1.6 * end[1].y, {
+          color: eigenColor,
+        });
+      }
+    }
+  }
+  this.pop();
+
+  if (options.showBasis ?? true) {
+    this.drawVector(0, 0, i, {
+      color: options.iColor ?? "lime",
+      thickness: 3,
+      label: "î",
+    });
+    this.drawVector(0, 0, j, {
+      color: options.jColor ?? "tomato",
+      thickness: 3,
+      label: "ĵ",
+    });
+  }
+
+  return {
+    matrix: [
+      [m[0], m[1]],
+      [m[2], m[3]],
+    ],
+    determinant,
+    eigenvalues,
+  };
+};
+
+/**
+ * Reads the entries of a 2×2 matrix given as [[a, b], [c, d]] or
+ * [a, b, c, d].
+ *
+ * @param {Number[][]|Number[]} matrix the matrix
+ * @param {String} caller              the function that was called
+ * @returns {Number[]} the entries a, b, c and d, row by row
+ */
+function matrixEntries(matrix, caller) {
+  const entries = Array.isArray(matrix) ? matrix.flat() : [];
+  if (entries.length !== 4 || entries.some((e) => typeof e !== "number")) {
+    throw new p5Error(
+      `${caller} was expecting a 2×2 matrix such as [[a, b], [c, d]], received ${matrix} instead`
+    );
+  }
+  return entries;
+}
+
+/**
+ * Returns the number of canvas pixels per unit of the current drawing
+ * space along each axis, taking every transformation into account.
+ *
+ * @param {Number} scaleFactor the scale factor assumed in WEBGL
+ * @returns {Object} containing the x and y scale
+ */
+p5.prototype._localPixelsPerUnit = function (scaleFactor = 1) {
+  if (this._renderer?.isP3D) {
+    const ppu = this._pixelsPerUnit();
+    return { x: ppu.x * scaleFactor, y: ppu.y * scaleFactor };
+  }
+  const { a, b, c, d } = this.drawingContext.getTransform();
+  const pd = this.pixelDensity();
+  return { x: Math.hypot(a, b) / pd, y: Math.hypot(c, d) / pd };
+};
+
+/**
+ * Measures the width of a label in pixels.
+ *
+ * @param {String} str  the label
+ * @param {Number} size the text size in pixels
+ * @returns {Number} the label's width
+ */
+p5.prototype._labelWidth = function (str, size) {
+  if (!this._canDrawText()) {
+    return 0.6 * size * String(str).length;
+  }
+  this.push();
+  this.textSize(size);
+  const w = this.textWidth(String(str));
+  this.pop();
+  return w;
+};
+
+/**
+ * Returns the part of the current drawing space that is visible on the
+ * canvas. In WEBGL the camera can look along the plane, so the canvas
+ * is used instead, scaled by scaleFactor.
+ *
+ * @param {Number} scaleFactor the scale factor applied to the coordinate system
+ * @returns {Object} containing xMin, xMax, yMin and yMax
+ */
+p5.prototype._visibleBounds = function (scaleFactor = 1) {
+  const corners = [
+    [0, 0],
+    [this.width, 0],
+    [0, this.height],
+    [this.width, this.height],
+  ].map(([x, y]) => {
+    if (!this._renderer?.isP3D) return this._canvasToLocal(x, y);
+    const p = this._canvasToCoordinateMode(x, y);
+    return { x: p.x / scaleFactor, y: p.y / scaleFactor };
+  });
+  const xs = corners.map((p) => p.x);
+  const ys = corners.map((p) => p.y);
+  if (this._renderer?.isP3D) {
+    // Keep the axes centered on the origin.
+    const xExtent = Math.max(...xs.map(Math.abs));
+    const yExtent = Math.max(...ys.map(Math.abs));
+    return { xMin: -xExtent, xMax: xExtent, yMin: -yExtent, yMax: yExtent };
+  }
+  return {
+    xMin: Math.min(...xs),
+    xMax: Math.max(...xs),
+    yMin: Math.min(...ys),
+    yMax: Math.max(...ys),
+  };
+};
+
+/**
+ * Lists the multiples of step between lo and hi, along with the minor
+ * ticks between them.
+ *
+ * @param {Number} lo    the smallest value
+ * @param {Number} hi    the largest value
+ * @param {Number} step  the distance between major ticks
+ * @param {Number} minor the number of minor ticks between major ticks
+ * @returns {Object[]} containing each tick's value and whether it is minor
+ */
+function tickValues(lo, hi, step, minor = 0) {
+  const ticks = [];
+  const divisions = minor + 1;
+  const minorStep = step / divisions;
+  const first = Math.ceil(lo / minorStep);
+  const last = Math.floor(hi / minorStep);
+  for (let i = first; i <= last; i++) {
+    ticks.push({
+      value: (i / divisions) * step,
+      minor: i % divisions !== 0,
+    });
+  }
+  return ticks;
+}
+
+/**
+ * Picks a "nice" spacing of 1, 2 or 5 times a power of 10 for ticks between
+ * lo and hi. Ticks are at least 50 pixels apart and far enough apart that
+ * their labels do not overlap.
+ *
+ * @param {Number} lo            the smallest visible value
+ * @param {Number} hi            the largest visible value
+ * @param {Number} pixelsPerUnit the number of pixels per unit along the axis
+ * @param {Function} space       the pixels a value's label needs
+ * @returns {Number} the spacing between ticks
+ */
+function autoTickStep(lo, hi, pixelsPerUnit, space) {
+  let step = niceNumber(50 / pixelsPerUnit);
+  for (let i = 0; i < 20; i++) {
+    // The widest labels are at the ends of the axis.
+    const ticks = tickValues(lo, hi, step).filter((t) => t.value !== 0);
+    const ends = [...ticks.slice(0, 2), ...ticks.slice(-2)];
+    const needed = Math.max(0, ...ends.map((t) => space(t.value)));
+    if (step * pixelsPerUnit >= needed) break;
+    step = niceNumber(step * 1.5);
+  }
+  return step;
+}
+
+/**
+ * Rounds a number up to 1, 2 or 5 times a power of 10.
+ *
+ * @param {Number} value the number to round
+ * @returns {Number} the nice number
+ */
+function niceNumber(value) {
+  const exponent = Math.floor(Math.log10(value));
+  const power = Math.pow(10, exponent);
+  const fraction = value / power;
+  let nice = 10;
+  if (fraction <= 1 + 1e-9) nice = 1;
+  else if (fraction <= 2 + 1e-9) nice = 2;
+  else if (fraction <= 5 + 1e-9) nice = 5;
+  return parseFloat((nice * power).toPrecision(12));
+}
+
+/**
+ * Formats a number to at most 12 significant digits, which hides
+ * floating-point noise like 0.30000000000000004.
+ *
+ * @param {Number} value the number to format
+ * @returns {String} the formatted number
+ */
+function formatNumber(value) {
+  return String(parseFloat(value.toPrecision(12)));
+}
+
+/**
+ * Formats a number as a fraction with a denominator up to 12, optionally
+ * as a multiple of a symbol such as π. Falls back to a decimal when no
+ * such fraction is close enough.
+ *
+ * @param {Number} value  the number to format
+ * @param {String} symbol the symbol the number is a multiple of (Optional)
+ * @returns {String} the formatted fraction
+ */
+function formatFraction(value, symbol = "") {
+  for (let den = 1; den <= 12; den++) {
+    const num = Math.round(value * den);
+    if (Math.abs(num / den - value) > 1e-9 * Math.max(1, Math.abs(value))) {
+      continue;
+    }
+    if (num === 0) return "0";
+    const sign = num < 0 ? "-" : "";
+    const abs = Math.abs(num);
+    const top = symbol ? `${abs === 1 ? "" : abs}${symbol}` : `${abs}`;
+    return den === 1 ? `${sign}${top}` : `${sign}${top}/${den}`;
+  }
+  return `${formatNumber(value)}${symbol}`;
+}
+
+/**
+ * Turns the xFormat/yFormat option of drawTickAxes() into a function.
+ *
+ * @param {Function|String} format a function or a format's name
+ * @returns {Function} formats a number as a label
+ */
+function tickLabelFormat(format) {
+  if (typeof format === "function") return format;
+  switch (format) {
+    case undefined:
+    case null:
+      return (value) => formatNumber(value);
+    case "pi":
+      return (value) => formatFraction(value / Math.PI, "π");
+    case "fraction":
+      return (value) => formatFraction(value);
+    case "degrees":
+      return (value) => `${formatNumber(value)}°`;
+    case "percent":
+      return (value) => `${formatNumber(value * 100)}%`;
+    default:
+      throw new p5Error(
+        `drawTickAxes() was expecting a function or pi|fraction|degrees|percent for the label format, received ${format} instead`
+      );
+  }
+}
+
+/**
+ * Creates a scale that maps values along an axis to coordinates. On
+ * logarithmic scales, values that are not positive map to -Infinity.
+ *
+ * @param {String} type  "linear", "log" or "ln"
+ * @param {Number} size  the length of each power on logarithmic scales
+ * @returns {Object} containing the type, forward and inverse functions,
+ *                   and the default label format
+ */
+function createScale(type = "linear", size = 1) {
+  if (type === "linear") {
+    return {
+      type,
+      forward: (value) => value,
+      inverse: (coordinate) => coordinate,
+      format: tickLabelFormat(),
+    };
+  }
+  const base = type === "ln" ? Math.E : 10;
+  const log = type === "ln" ? Math.log : Math.log10;
+  const power = (value) => Math.round(log(value));
+  return {
+    type,
+    base,
+    size,
+    forward: (value) => (value > 0 ? log(value) * size : -Infinity),
+    inverse: (coordinate) => Math.pow(base, coordinate / size),
+    power,
+    format: (value) =>
+      `${type === "ln" ? "e" : "10"}${superscript(power(value))}`,
+  };
+}
+
+/**
+ * Lists the tick values between lo and hi on a scale. On linear scales,
+ * ticks are multiples of step. On logarithmic scales, major ticks are
+ * every step powers and minor ticks fall on 2, 3, ... 9 times each power
+ * of 10.
+ *
+ * @param {Object} scale  the scale from createScale()
+ * @param {Number} lo     the smallest value
+ * @param {Number} hi     the largest value
+ * @param {Number} step   the distance between major ticks, or the number of
+ *                        powers between them on logarithmic scales
+ * @param {Number} minor  the number of minor ticks between major ticks, or
+ *                        whether to draw them on logarithmic scales
+ * @returns {Object[]} containing each tick's value and whether it is minor
+ */
+function scaleTicks(scale, lo, hi, step, minor = 0) {
+  if (scale.type === "linear") return tickValues(lo, hi, step, minor);
+  if (!(hi > 0)) return [];
+  const log = (value) => scale.forward(value) / scale.size;
+  const first = Math.floor(log(Math.max(lo, Number.MIN_VALUE)));
+  const last = Math.ceil(log(hi));
+  const inRange = (value) =>
+    value >= lo * (1 - 1e-9) && value <= hi * (1 + 1e-9);
+  const ticks = [];
+  for (let k = Math.max(first, last - 1000); k <= last; k++) {
+    const value = parseFloat(Math.pow(scale.base, k).toPrecision(12));
+    if (k % step === 0 && inRange(value)) ticks.push({ value, minor: false });
+    if (minor && step === 1 && scale.base === 10) {
+      for (let m = 2; m <= 9; m++) {
+        const between = parseFloat((m * value).toPrecision(12));
+        if (inRange(between)) ticks.push({ value: between, minor: true });
+      }
+    }
+  }
+  return ticks;
+}
+
+/**
+ * Picks the number of powers between labeled ticks on a logarithmic
+ * scale so that the labels do not overlap.
+ *
+ * @param {Number} pixelsPerPower the number of pixels between powers
+ * @param {Number} space          the pixels a label needs
+ * @returns {Number} the number of powers between ticks
+ */
+function logTickStep(pixelsPerPower, space) {
+  const step = Math.max(1, Math.ceil(space / pixelsPerPower));
+  return step <= 2 ? step : niceNumber(step);
+}
+
+/**
+ * Writes an integer with superscript digits, as in 10⁻³.
+ *
+ * @param {Number} n the integer
+ * @returns {String} the superscript
+ */
+function superscript(n) {
+  const digits = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+  return String(n)
+    .replace("-", "⁻")
+    .replace(/\d/g, (d) => digits[d]);
+}
+
+/**
+ * Draws an arrow given its tail (x,y) and head (x,y). Takes the same
+ * options as drawVector(), but fills the arrowhead with the current fill
+ * unless a color is given.
+ *
+ * @param {Number} tailX   the x-coordinate of the arrow's tail
+ * @param {Number} tailY   the y-coordinate of the arrow's tail
+ * @param {Number} headX   the x-coordinate of the arrow's head
+ * @param {Number} headY   the y-coordinate of the arrow's head
+ * @param {Object} options the arrow's options (Optional)
+ */
+p5.prototype.arrow = function (tailX, tailY, headX, headY, options = {}) {
+  options = vectorOptions(options);
+  const fill = options.color === undefined ? this._currentFill() : null;
+  this.drawVector(tailX, tailY, [headX - tailX, headY - tailY], {
+    headColor: fill,
+    ...options,
+  });
+};
+
+/**
+ * Draws a set of x, y, and z-axes along with translucent planes, tick
+ * marks and labels. Labels need a font loaded with loadFont() in WEBGL,
+ * and turn to face the camera.
+ *
+ * Either pass the arguments below in order, optionally followed by an
+ * options object, or a single options object using the same names along
+ * with any of these extra options:
+ *
+ *   spacing              the distance between tick marks
+ *   showPlanes           whether to draw the translucent planes
+ *   showTicks            whether to draw tick marks
+ *   showLabels           whether to label the ticks and axes
+ *   names                the names of the x, y and z-axes
+ *   format               formats the labels, as in drawTickAxes()
+ *   labelColor, labelSize
+ *
+ * @param {Number} size  the extent of the axes
+ * @param {p5.Color} clr the color to render the planes oriented along each axis
+ * @param {Object} options the options described above (Optional)
+ */
+p5.prototype.draw3DAxes = function (size = 200, clr = "violet", options = {}) {
+  if (size !== null && typeof size === "object") {
+    options = size;
+    size = options.size ?? 200;
+    clr = options.color ?? "violet";
+  }
+  const _clr = this.color(clr);
   this.push();
 
   const sz = size / 30;
@@ -405,15 +1915,109 @@ p5.prototype.draw3DAxes = function (size, clr = "violet") {
   this.stroke(_clr);
   this.drawOrigin(sz);
 
-  const planeSize = 2 * (size + sz);
-  _clr.setAlpha(35);
-  this.fill(_clr);
-  this.noStroke();
-  this.plane(planeSize, planeSize);
-  this.rotateX(90);
-  this.plane(planeSize, planeSize);
-  this.rotateY(90);
-  this.plane(planeSize, planeSize);
+  // Ticks stop short of the arrowheads.
+  const spacing = options.spacing ?? niceNumber(size / 5);
+  const ticks = tickValues(spacing, size - 2 * sz, spacing).map((t) => t.value);
+  // The x, y and z-axes, each with the two directions across it.
+  const axes = [
+    [
+      [1, 0, 0],
+      [0, 1, 0],
+      [0, 0, 1],
+    ],
+    [
+      [0, 1, 0],
+      [1, 0, 0],
+      [0, 0, 1],
+    ],
+    [
+      [0, 0, 1],
+      [1, 0, 0],
+      [0, 1, 0],
+    ],
+  ];
+  const at = (d, v, offset = [0, 0, 0]) => d.map((c, i) => c * v + offset[i]);
+
+  if (options.showTicks ?? true) {
+    this.stroke(255);
+    for (const [d, a, b] of axes) {
+      for (const v of ticks) {
+        // a small cross, so that ticks show from any angle
+        for (const across of [a, b]) {
+          this.line(
+            ...at(d, v, at(across, -sz / 2)),
+            ...at(d, v, at(across, sz / 2))
+          );
+        }
+      }
+    }
+  }
+
+  if ((options.showLabels ?? true) && this._canDrawText()) {
+    const format = tickLabelFormat(options.format);
+    const names = options.names ?? ["x", "y", "z"];
+    this.noStroke();
+    this.fill(this.color(options.labelColor ?? "white"));
+    this.textSize(options.labelSize ?? Math.max(12, 2 * sz));
+    this.textAlign(this.CENTER, this.CENTER);
+    axes.forEach(([d, a], k) => {
+      // Numbers sit beside each tick and names beyond each arrowhead.
+      for (const v of ticks) {
+        this._billboardText(format(v), ...at(d, v, at(a, -2 * sz)));
+      }
+      this._billboardText(names[k], ...at(d, size + 4 * sz));
+    });
+  }
+
+  if (options.showPlanes ?? true) {
+    const planeSize = 2 * (size + sz);
+    _clr.setAlpha(35);
+    this.fill(_clr);
+    this.noStroke();
+    this.plane(planeSize, planeSize);
+    this.rotateX(90);
+    this.plane(planeSize, planeSize);
+    this.rotateY(90);
+    this.plane(planeSize, planeSize);
+  }
+  this.pop();
+};
+
+/**
+ * Draws text at a point in 3D, facing the camera and upright on screen.
+ *
+ * @param {String} str the text to draw
+ * @param {Number} x   the x-coordinate of the text
+ * @param {Number} y   the y-coordinate of the text
+ * @param {Number} z   the z-coordinate of the text
+ */
+p5.prototype._billboardText = function (str, x, y, z) {
+  // Keep only the translation to the point in the camera's space, which
+  // undoes any rotation as well as the coordinate mode's flip.
+  const m = this._renderer.uMVMatrix.mat4;
+  const ex = m[0] * x + m[4] * y + m[8] * z + m[12];
+  const ey = m[1] * x + m[5] * y + m[9] * z + m[13];
+  const ez = m[2] * x + m[6] * y + m[10] * z + m[14];
+  this.push();
+  this._renderer.uMVMatrix.set(
+    1,
+    0,
+    0,
+    0,
+    0,
+    1,
+    0,
+    0,
+    0,
+    0,
+    1,
+    0,
+    ex,
+    ey,
+    ez,
+    1
+  );
+  this._text(str, 0, 0);
   this.pop();
 };
 
@@ -474,63 +2078,822 @@ p5.prototype.drawXAxis = function (length, arrowSize) {
 };
 
 /**
- * @param {number} O_x  the x coordinate of the tail of the vector
- * @param {number} O_y  the y coordinate of the tail of the vector
- * @param {p5.Vector} V  the head of the vector
- * @param {boolean or list} dash False by default. Otherwise, it makes a dashed line with the sequence specified by a list
- */
-p5.prototype.drawVector = function (O_x, O_y, V, dash = false) {
-  // assume parameters are vectors
-  push();
-  if (dash != false) {
-    drawingContext.setLineDash(dash);
-  }
-  line(O_x, O_y, O_x + V.x, O_y + V.y);
-  noStroke();
-  translate(O_x, O_y);
-  rotate(V.heading());
-  translate(V.mag() - 10, 0);
-  triangle(0, 5, 0, -5, 10, 0);
-  pop();
-};
-
-/**
- * Keeps track of the mouse's current position taking transformations
- * into account.
+ * Draws the surface z = f(x, y) over a rectangle in 3D as a mesh, colored
+ * by height and optionally with a wireframe. Requires a WEBGL canvas.
  *
- * @returns {Object} containing the mouse's x and y-coordinates
+ * @param {Function} f       a function of x and y
+ * @param {Number[]} xRange  the smallest and largest x values (Optional)
+ * @param {Number[]} yRange  the smallest and largest y values (Optional)
+ * @param {Object} options   the options described in the README (Optional)
+ * @returns {Object} containing the smallest and largest z values drawn
  */
-p5.prototype.mouse = function () {
-  const transform_matrix = this.drawingContext.getTransform();
+p5.prototype.surfacePlot = function (f, xRange, yRange, options = {}) {
+  if (typeof f !== "function") {
+    throw new p5Error(
+      "surfacePlot() expects a function as its first argument."
+    );
+  }
+  if (!this._renderer?.isP3D) {
+    throw new p5Error(
+      "surfacePlot() needs a WEBGL canvas, as in createCanvas(400, 400, WEBGL)."
+    );
+  }
+  // The ranges can be left out before the options.
+  const isOptions = (arg) =>
+    arg !== null && typeof arg === "object" && !Array.isArray(arg);
+  if (isOptions(xRange)) {
+    options = xRange;
+    xRange = undefined;
+  } else if (isOptions(yRange)) {
+    options = yRange;
+    yRange = undefined;
+  }
+  const [xMin, xMax] = xRange ?? [-100, 100];
+  const [yMin, yMax] = yRange ?? [xMin, xMax];
+  const n = Math.max(1, Math.round(options.resolution ?? 40));
 
-  transform_matrix.a /= this.pixelDensity();
-  transform_matrix.b /= this.pixelDensity();
-  transform_matrix.c /= this.pixelDensity();
-  transform_matrix.d /= this.pixelDensity();
-  transform_matrix.e /= this.pixelDensity();
-  transform_matrix.f /= this.pixelDensity();
+  // Sample the surface on an (n + 1) x (n + 1) grid of points.
+  const points = [];
+  let zMin = Infinity;
+  let zMax = -Infinity;
+  for (let i = 0; i <= n; i++) {
+    const row = [];
+    for (let j = 0; j <= n; j++) {
+      const x = xMin + ((xMax - xMin) * i) / n;
+      const y = yMin + ((yMax - yMin) * j) / n;
+      const z = f(x, y);
+      if (Number.isFinite(z)) {
+        zMin = Math.min(zMin, z);
+        zMax = Math.max(zMax, z);
+        row.push([x, y, z]);
+      } else {
+        row.push(null);
+      }
+    }
+    points.push(row);
+  }
 
-  const m = {
-    x: this.mouseX - transform_matrix.e,
-    y: this.mouseY - transform_matrix.f,
+  const [lo, hi] = options.zRange ?? [zMin, zMax];
+  const palette = (options.colors ?? ["navy", "gold"]).map((c) =>
+    this.color(c)
+  );
+  const byHeight = options.colorByHeight ?? true;
+  const single = this.color(options.color ?? this._palette[0]);
+  // Colors blend through the palette from the lowest to the highest z.
+  const colorAt = (z) => {
+    if (!byHeight) return single;
+    const t = hi > lo ? Math.min(Math.max((z - lo) / (hi - lo), 0), 1) : 0.5;
+    const scaled = t * (palette.length - 1);
+    const k = Math.min(Math.floor(scaled), palette.length - 2);
+    if (k < 0) return palette[0];
+    return this.lerpColor(palette[k], palette[k + 1], scaled - k);
   };
 
-  if (this._coordinateMode === this.BOTTOM_LEFT)
-    m.y = this.height - this.mouseY - transform_matrix.f;
+  this.push();
+  if (options.fill ?? true) {
+    this.noStroke();
+    this.beginShape(this.TRIANGLES);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const a = points[i][j];
+        const b = points[i + 1][j];
+        const c = points[i + 1][j + 1];
+        const d = points[i][j + 1];
+        for (const triangle of [
+          [a, b, c],
+          [a, c, d],
+        ]) {
+          if (triangle.includes(null)) continue;
+          for (const p of triangle) {
+            this.fill(colorAt(p[2]));
+            this.vertex(...p);
+          }
+        }
+      }
+    }
+    this.endShape();
+  }
+
+  if (options.wireframe) {
+    // lines along x and along y, broken where the surface is undefined
+    this.noFill();
+    this.stroke(this.color(options.wireframeColor ?? "white"));
+    this.strokeWeight(options.wireframeThickness ?? 1);
+    const lines = [...points];
+    for (let j = 0; j <= n; j++) {
+      lines.push(points.map((row) => row[j]));
+    }
+    for (const line of lines) {
+      let drawing = false;
+      for (const p of line) {
+        if (p && !drawing) {
+          this.beginShape();
+          drawing = true;
+        } else if (!p && drawing) {
+          this.endShape();
+          drawing = false;
+        }
+        if (p) this.vertex(...p);
+      }
+      if (drawing) this.endShape();
+    }
+  }
+  this.pop();
 
-  const tm = {
-    x: m.x * transform_matrix.a + m.y * transform_matrix.b,
-    y: m.x * transform_matrix.c + m.y * transform_matrix.d,
-  };
-  return tm;
+  return { zMin, zMax };
 };
 
-// Boolean flag that indicates whether any MovableCircles are moving.
-p5.prototype._anyMoving = false;
-
 /**
- * A class to define a circle that users can drag about the canvas with
- * their mouse.
+ * Draws a vector v with its tail at (x, y). The arrowhead grows with the
+ * stroke weight and keeps its shape in every coordinate mode.
+ *
+ * The fourth argument can be a dash pattern, as in earlier versions, or
+ * an object with any of these options:
+ *
+ *   color                the vector's color, the current stroke by default
+ *   thickness            the thickness of the line in pixels
+ *   dash                 the lengths of the dashes and gaps in pixels
+ *   headSize             the length of the arrowhead in pixels
+ *   headColor            the arrowhead's color, the vector's color by default
+ *   name                 labels the vector, e.g. "v" for v⃗
+ *   showValue            whether to add the components to the label, e.g. ⟨3, 4⟩
+ *   label                replaces the label
+ *   components           whether to draw the x and y components as dashed legs
+ *   labelSide            "left" or "right" of the vector as seen on the canvas
+ *   decimals             the decimal places of the values shown
+ *   labelColor, labelSize
+ *
+ * @param {Number} x                 the x-coordinate of the vector's tail
+ * @param {Number} y                 the y-coordinate of the vector's tail
+ * @param {p5.Vector} v              the vector, which can also be an array
+ * @param {Object|Number[]} options  the vector's options (Optional)
+ */
+p5.prototype.drawVector = function (x, y, v, options = {}) {
+  options = vectorOptions(options);
+  const { x: vx, y: vy } = vectorComponents(v, "drawVector()");
+  const current = this._currentStroke();
+  // Leave the line out after noStroke() unless a color is given, and the
+  // arrowhead too unless it has its own color.
+  const stroked = options.color !== undefined || this._renderer._doStroke;
+  const clr =
+    options.color !== undefined ? this.color(options.color) : current.color;
+  const thickness = options.thickness ?? current.weight;
+  const headSize = options.headSize ?? 6 + 2 * thickness;
+  const decimals = options.decimals ?? 2;
+  const pixels = this._localPixelsPerUnit();
+  const length = Math.hypot(vx * pixels.x, vy * pixels.y);
+
+  this.push();
+  if (stroked) this.stroke(clr);
+  this._pixelStrokeWeight(thickness);
+  if (options.components) {
+    this.push();
+    this.stroke(this.color(options.componentColor ?? clr));
+    this._pixelStrokeWeight(Math.max(1, thickness / 2));
+    this._pixelLineDash([6, 4]);
+    this.line(x, y, x + vx, y);
+    this.line(x + vx, y, x + vx, y + vy);
+    this.pop();
+    // Label the legs outside the triangle they make with the vector.
+    const style = { ...options, color: options.componentColor ?? clr };
+    const tip = { x: x + vx, y: y + vy };
+    const round = (value) => parseFloat(value.toFixed(decimals));
+    if (vx !== 0) {
+      this._vectorLabel(round(vx), x, y, vx, 0, {
+        ...style,
+        labelSide: this._labelSideAwayFrom(x, y, vx, 0, tip),
+      });
+    }
+    if (vy !== 0) {
+      this._vectorLabel(round(vy), x + vx, y, 0, vy, {
+        ...style,
+        labelSide: this._labelSideAwayFrom(x + vx, y, 0, vy, { x, y }),
+      });
+    }
+  }
+  if (length > 0) {
+    const head = Math.min(headSize, length);
+    this._pixelLineDash(options.dash);
+    // Stop the line inside the arrowhead so that thick lines keep a
+    // sharp tip.
+    const k = 1 - (0.8 * head) / length;
+    this.line(x, y, x + vx * k, y + vy * k);
+    const headColor = options.headColor ?? (stroked ? clr : null);
+    if (headColor !== null) {
+      this._arrowhead(x + vx, y + vy, vx, vy, head, this.color(headColor));
+    }
+  }
+  this.pop();
+
+  const label =
+    options.label ??
+    vectorLabel(
+      options.name ? vectorName(options.name) : "",
+      { x: vx, y: vy },
+      decimals,
+      options.showValue
+    );
+  if (label) {
+    // Keep clear of the components' corner.
+    const labelSide =
+      options.labelSide ??
+      (options.components
+        ? this._labelSideAwayFrom(x, y, vx, vy, { x: x + vx, y })
+        : undefined);
+    this._vectorLabel(label, x, y, vx, vy, {
+      color: clr,
+      ...options,
+      labelSide,
+    });
+  }
+};
+
+/**
+ * Turns the options passed to drawVector() into an object. Earlier
+ * versions took a dash pattern, which can also be a list from Python.
+ *
+ * @param {Object|Number[]|Boolean} options the options passed
+ * @returns {Object} the options
+ */
+function vectorOptions(options) {
+  if (options === false || options === true) return {};
+  if (typeof options?.length === "number") {
+    return { dash: Array.from(options) };
+  }
+  return options ?? {};
+}
+
+/**
+ * Draws a label beside the middle of a vector, on its left or right as
+ * seen on the canvas.
+ *
+ * @param {String} label   the label
+ * @param {Number} x       the x-coordinate of the vector's tail
+ * @param {Number} y       the y-coordinate of the vector's tail
+ * @param {Number} vx      the vector's x component
+ * @param {Number} vy      the vector's y component
+ * @param {Object} options the color, labelColor, labelSize and labelSide
+ *                         to use
+ */
+p5.prototype._vectorLabel = function (label, x, y, vx, vy, options) {
+  if (!this._canDrawText()) return;
+  const size = options.labelSize ?? 14;
+  const pixels = this._localPixelsPerUnit();
+  const ySign = this._isYUp() ? -1 : 1;
+  // The vector's direction on the canvas, where y points down.
+  const px = vx * pixels.x;
+  const py = vy * pixels.y * ySign;
+  const length = Math.hypot(px, py) || 1;
+  const side = options.labelSide === "right" ? -1 : 1;
+  const nx = (side * py) / length;
+  const ny = (-side * px) / length;
+  const width = this._labelWidth(label, size);
+  const offset = 6 + (Math.abs(nx) * width) / 2 + (Math.abs(ny) * size) / 2;
+  this.push();
+  this.noStroke();
+  this.fill(this.color(options.labelColor ?? options.color));
+  this.textSize(size);
+  this.textAlign(this.CENTER, this.CENTER);
+  this.text(
+    String(label),
+    x + vx / 2 + (nx * offset) / pixels.x,
+    y + vy / 2 + (ny * offset * ySign) / pixels.y
+  );
+  this.pop();
+};
+
+/**
+ * Works out which side of a vector, as seen on the canvas, is away from
+ * a point.
+ *
+ * @param {Number} x       the x-coordinate of the vector's tail
+ * @param {Number} y       the y-coordinate of the vector's tail
+ * @param {Number} vx      the vector's x component
+ * @param {Number} vy      the vector's y component
+ * @param {Object} point   the point's x and y-coordinates
+ * @returns {String} "left" or "right"
+ */
+p5.prototype._labelSideAwayFrom = function (x, y, vx, vy, point) {
+  // Which way the vector turns towards the point in the drawing space,
+  // flipped when the y-axis points up.
+  const cross = vx * (point.y - y) - vy * (point.x - x);
+  const left = this._isYUp() ? cross > 0 : cross < 0;
+  return left ? "right" : "left";
+};
+
+/**
+ * Returns the current stroke color and weight, with the weight in pixels.
+ *
+ * @returns {Object} containing the color and weight
+ */
+p5.prototype._currentStroke = function () {
+  if (this._renderer?.isP3D) {
+    const [r, g, b, a] = this._renderer.curStrokeColor.map((c) => c * 255);
+    return {
+      color: this.color(r, g, b, a),
+      weight: this._renderer.curStrokeWeight,
+    };
+  }
+  const local = this._localPixelsPerUnit();
+  return {
+    color: this.color(this.drawingContext.strokeStyle),
+    weight: this.drawingContext.lineWidth * Math.sqrt(local.x * local.y),
+  };
+};
+
+/**
+ * Draws vectors tip to tail starting at (x, y), followed by their sum
+ * from the first tail to the last tip.
+ *
+ * Options are passed on to drawVector(), along with:
+ *
+ *   names                the names of the vectors, e.g. ["a", "b"]
+ *   colors               the colors of the vectors
+ *   resultName           the name of the sum, e.g. "c", by default the
+ *                        names added together
+ *   resultColor          the color of the sum
+ *
+ * @param {Number} x            the x-coordinate of the first tail
+ * @param {Number} y            the y-coordinate of the first tail
+ * @param {p5.Vector[]} vectors the vectors to add
+ * @param {Object} options      the options (Optional)
+ * @returns {Object} the sum's x and y components
+ */
+p5.prototype.drawVectorSum = function (x, y, vectors, options = {}) {
+  if (!Array.isArray(vectors) || vectors.length === 0) {
+    throw new p5Error(
+      `drawVectorSum() was expecting an array of vectors, received ${vectors} instead`
+    );
+  }
+  const names = options.names ?? [];
+  const colors = options.colors ?? this._palette.slice(1, 5);
+  const components = vectors.map((v) => vectorComponents(v, "drawVectorSum()"));
+  const sum = components.reduce((a, b) => ({ x: a.x + b.x, y: a.y + b.y }));
+  // Label the vectors on the outside of the diagram.
+  const middle = { x: x + sum.x / 2, y: y + sum.y / 2 };
+  let tip = { x, y };
+  components.forEach((v, i) => {
+    this.drawVector(tip.x, tip.y, v, {
+      ...options,
+      name: names[i],
+      label: undefined,
+      color: colors[i % colors.length],
+      labelSide:
+        options.labelSide ??
+        this._labelSideAwayFrom(tip.x, tip.y, v.x, v.y, middle),
+    });
+    tip = { x: tip.x + v.x, y: tip.y + v.y };
+  });
+  const defaultName =
+    names.length === vectors.length ? names.map(vectorName).join(" + ") : "";
+  this._drawResultVector(x, y, sum, defaultName, options, {
+    x: x + components[0].x,
+    y: y + components[0].y,
+  });
+  return sum;
+};
+
+/**
+ * Draws a and b from the same tail at (x, y), along with their difference
+ * a − b, which runs from the tip of b to the tip of a.
+ *
+ * Takes the same options as drawVectorSum().
+ *
+ * @param {Number} x       the x-coordinate of the tails
+ * @param {Number} y       the y-coordinate of the tails
+ * @param {p5.Vector} a    the vector to subtract from
+ * @param {p5.Vector} b    the vector to subtract
+ * @param {Object} options the options (Optional)
+ * @returns {Object} the difference's x and y components
+ */
+p5.prototype.drawVectorDifference = function (x, y, a, b, options = {}) {
+  const u = vectorComponents(a, "drawVectorDifference()");
+  const w = vectorComponents(b, "drawVectorDifference()");
+  const names = options.names ?? [];
+  const colors = options.colors ?? this._palette.slice(1, 5);
+  const difference = { x: u.x - w.x, y: u.y - w.y };
+  // Label the vectors on the outside of the diagram.
+  const middle = { x: x + (u.x + w.x) / 2, y: y + (u.y + w.y) / 2 };
+  [u, w].forEach((v, i) => {
+    this.drawVector(x, y, v, {
+      ...options,
+      name: names[i],
+      label: undefined,
+      color: colors[i % colors.length],
+      labelSide:
+        options.labelSide ?? this._labelSideAwayFrom(x, y, v.x, v.y, middle),
+    });
+  });
+  const defaultName =
+    names.length >= 2
+      ? `${vectorName(names[0])} − ${vectorName(names[1])}`
+      : "";
+  this._drawResultVector(x + w.x, y + w.y, difference, defaultName, options, {
+    x,
+    y,
+  });
+  return difference;
+};
+
+/**
+ * Draws v and the scalar multiple kv side by side from (x, y). The
+ * multiple is shifted sideways so that both stay visible.
+ *
+ * Options are passed on to drawVector(), along with:
+ *
+ *   colors               the colors of v and kv
+ *   offset               how far kv is shifted sideways in pixels
+ *
+ * @param {Number} x       the x-coordinate of the tails
+ * @param {Number} y       the y-coordinate of the tails
+ * @param {p5.Vector} v    the vector
+ * @param {Number} k       the scalar
+ * @param {Object} options the options (Optional)
+ * @returns {Object} the multiple's x and y components
+ */
+p5.prototype.drawScalarMultiple = function (x, y, v, k, options = {}) {
+  const u = vectorComponents(v, "drawScalarMultiple()");
+  if (typeof k !== "number") {
+    throw new p5Error(
+      `drawScalarMultiple() was expecting a number for the scalar, received ${k} instead`
+    );
+  }
+  const colors = options.colors ?? this._palette.slice(1, 5);
+  const multiple = { x: k * u.x, y: k * u.y };
+  this.drawVector(x, y, u, { ...options, label: undefined, color: colors[0] });
+
+  // Shift the multiple to the right of v as seen on the canvas.
+  const pixels = this._localPixelsPerUnit();
+  const ySign = this._isYUp() ? -1 : 1;
+  const px = u.x * pixels.x;
+  const py = u.y * pixels.y * ySign;
+  const length = Math.hypot(px, py) || 1;
+  const offset = options.offset ?? 12;
+  const sx = ((-py / length) * offset) / pixels.x;
+  const sy = ((px / length) * offset * ySign) / pixels.y;
+  const name = options.name
+    ? `${formatNumber(k)}${vectorName(options.name)}`
+    : "";
+  this.drawVector(x + sx, y + sy, multiple, {
+    ...options,
+    label:
+      options.label ??
+      vectorLabel(name, multiple, options.decimals ?? 2, options.showValue),
+    color: colors[1 % colors.length],
+  });
+  return multiple;
+};
+
+/**
+ * Draws a and b from the same tail at (x, y) along with the projection
+ * of a onto b, a dashed line from the tip of a down to b's line, and the
+ * dot product a · b.
+ *
+ * Options are passed on to drawVector(), along with:
+ *
+ *   names                the names of a and b, e.g. ["a", "b"]
+ *   colors               the colors of a and b
+ *   resultName           the name of the projection
+ *   resultColor          the color of the projection
+ *   showDotProduct       whether to show the dot product
+ *
+ * @param {Number} x       the x-coordinate of the tails
+ * @param {Number} y       the y-coordinate of the tails
+ * @param {p5.Vector} a    the vector to project
+ * @param {p5.Vector} b    the vector to project onto
+ * @param {Object} options the options (Optional)
+ * @returns {Object} containing the dot product, the scalar projection and
+ *                   the projection's x and y components
+ */
+p5.prototype.drawProjection = function (x, y, a, b, options = {}) {
+  const u = vectorComponents(a, "drawProjection()");
+  const w = vectorComponents(b, "drawProjection()");
+  const lengthSq = w.x * w.x + w.y * w.y;
+  if (lengthSq === 0) {
+    throw new p5Error("drawProjection() cannot project onto a zero vector");
+  }
+  const dot = u.x * w.x + u.y * w.y;
+  const projection = { x: (dot / lengthSq) * w.x, y: (dot / lengthSq) * w.y };
+  const names = options.names ?? [];
+  const colors = options.colors ?? this._palette.slice(1, 5);
+  const decimals = options.decimals ?? 2;
+  const pixels = this._localPixelsPerUnit();
+  const foot = { x: x + projection.x, y: y + projection.y };
+  const tip = { x: x + u.x, y: y + u.y };
+  // Directions on the canvas in pixels, where y points down.
+  const ySign = this._isYUp() ? -1 : 1;
+  const toPixels = (p) => ({ x: p.x * pixels.x, y: p.y * pixels.y * ySign });
+  const toLocal = (p) => ({ x: p.x / pixels.x, y: (p.y * ySign) / pixels.y });
+  const unit = (p) => {
+    const length = Math.hypot(p.x, p.y);
+    return length > 1e-9 ? { x: p.x / length, y: p.y / length } : null;
+  };
+  const across = unit(toPixels({ x: tip.x - foot.x, y: tip.y - foot.y }));
+  // The marker goes beyond the foot, clear of the projection's arrowhead.
+  const along = unit(toPixels(w));
+
+  this.push();
+  this.noFill();
+  this.stroke(this.color(options.resultColor ?? this._palette[0]));
+  this._pixelStrokeWeight(1);
+  if (across) {
+    this.push();
+    this._pixelLineDash([6, 4]);
+    this.line(tip.x, tip.y, foot.x, foot.y);
+    this.pop();
+    // Mark the right angle at the foot.
+    const s = 8;
+    const corner = (i, j) => {
+      const d = toLocal({
+        x: (along.x * i + across.x * j) * s,
+        y: (along.y * i + across.y * j) * s,
+      });
+      return [foot.x + d.x, foot.y + d.y];
+    };
+    this.beginShape();
+    this.vertex(...corner(1, 0));
+    this.vertex(...corner(1, 1));
+    this.vertex(...corner(0, 1));
+    this.endShape();
+  }
+  this.pop();
+
+  // Label each vector on the side away from the other.
+  [
+    [u, w],
+    [w, u],
+  ].forEach(([v, other], i) => {
+    this.drawVector(x, y, v, {
+      ...options,
+      name: names[i],
+      label: undefined,
+      color: colors[i % colors.length],
+      labelSide:
+        options.labelSide ??
+        this._labelSideAwayFrom(x, y, v.x, v.y, {
+          x: x + other.x,
+          y: y + other.y,
+        }),
+    });
+  });
+  this._drawResultVector(x, y, projection, "", options);
+
+  if ((options.showDotProduct ?? true) && this._canDrawText()) {
+    const label =
+      names.length >= 2
+        ? `${vectorName(names[0])} · ${vectorName(names[1])} = ${parseFloat(
+            dot.toFixed(decimals)
+          )}`
+        : `a · b = ${parseFloat(dot.toFixed(decimals))}`;
+    // Show the dot product below b's line, away from a and past b's
+    // label.
+    const side = across
+      ? { x: -across.x, y: -across.y }
+      : toPixels({ x: -w.y, y: w.x });
+    const away = unit(side) ?? { x: 0, y: 1 };
+    const size = options.labelSize ?? 14;
+    const offset =
+      10 +
+      1.5 * size +
+      (Math.abs(away.x) * this._labelWidth(label, size)) / 2 +
+      (Math.abs(away.y) * size) / 2;
+    const d = toLocal({ x: away.x * offset, y: away.y * offset });
+    this.push();
+    this.noStroke();
+    this.fill(this.color(options.labelColor ?? "white"));
+    this.textSize(size);
+    this.textAlign(this.CENTER, this.CENTER);
+    this.text(label, foot.x + d.x, foot.y + d.y);
+    this.pop();
+  }
+
+  return { dot, scalar: dot / Math.sqrt(lengthSq), projection };
+};
+
+/**
+ * Draws the result of a vector diagram, such as a sum.
+ *
+ * @param {Number} x           the x-coordinate of the result's tail
+ * @param {Number} y           the y-coordinate of the result's tail
+ * @param {Object} v           the result's x and y components
+ * @param {String} defaultName the result's name unless options.resultName is set
+ * @param {Object} options     the diagram's options
+ * @param {Object} away        a point to keep the label away from (Optional)
+ */
+p5.prototype._drawResultVector = function (
+  x,
+  y,
+  v,
+  defaultName,
+  options,
+  away
+) {
+  const name = options.resultName
+    ? vectorName(options.resultName)
+    : defaultName;
+  this.drawVector(x, y, v, {
+    ...options,
+    label:
+      options.label ??
+      vectorLabel(name, v, options.decimals ?? 2, options.showValue),
+    color: options.resultColor ?? this._palette[0],
+    labelSide:
+      options.labelSide ??
+      (away ? this._labelSideAwayFrom(x, y, v.x, v.y, away) : undefined),
+  });
+};
+
+/**
+ * Reads the x and y components of a vector given as a p5.Vector, an
+ * object with x and y, or an array.
+ *
+ * @param {p5.Vector|Object|Number[]} v the vector
+ * @param {String} caller               the function that was called
+ * @returns {Object} containing the vector's x and y components
+ */
+function vectorComponents(v, caller) {
+  const [x, y] = Array.isArray(v) ? v : [v?.x, v?.y];
+  if (typeof x !== "number" || typeof y !== "number") {
+    throw new p5Error(
+      `${caller} was expecting a vector with x and y components, received ${v} instead`
+    );
+  }
+  return { x, y };
+}
+
+/**
+ * Adds an arrow above a vector's name, e.g. v⃗.
+ *
+ * @param {String} name the name
+ * @returns {String} the name with an arrow
+ */
+function vectorName(name) {
+  return `${name}\u20d7`;
+}
+
+/**
+ * Labels a vector with its name, its components or both.
+ *
+ * @param {String} name       the vector's name, which can be empty
+ * @param {Object} v          the vector's x and y components
+ * @param {Number} decimals   the decimal places of the components
+ * @param {Boolean} showValue whether to show the components
+ * @returns {String} the label
+ */
+function vectorLabel(name, v, decimals, showValue) {
+  if (!showValue) return name;
+  const round = (value) => parseFloat(value.toFixed(decimals));
+  const value = `⟨${round(v.x)}, ${round(v.y)}⟩`;
+  return name ? `${name} = ${value}` : value;
+}
+
+/**
+ * Keeps track of the mouse's current position taking transformations
+ * into account.
+ *
+ * @returns {Object} containing the mouse's x and y-coordinates
+ */
+p5.prototype.mouse = function () {
+  return this._coordinateModeToLocal(this.mouseX, this.mouseY);
+};
+
+/**
+ * Keeps track of the mouse's position in the previous frame taking the
+ * current transformations into account.
+ *
+ * @returns {Object} containing the mouse's previous x and y-coordinates
+ */
+p5.prototype.pmouse = function () {
+  return this._coordinateModeToLocal(this.pmouseX, this.pmouseY);
+};
+
+/**
+ * Returns how far the mouse moved since the previous frame taking the
+ * current transformations into account.
+ *
+ * @returns {Object} containing the change in the mouse's x and y-coordinates
+ */
+p5.prototype.mouseDelta = function () {
+  const m = this.mouse();
+  const pm = this.pmouse();
+  return { x: m.x - pm.x, y: m.y - pm.y };
+};
+
+/**
+ * Returns the mouse's position in polar coordinates taking transformations
+ * into account. The angle follows the current angleMode() and runs from 0
+ * up to a full turn.
+ *
+ * @returns {Object} containing the mouse's distance r from the origin and
+ *                   its angle theta
+ */
+p5.prototype.mousePolar = function () {
+  const m = this.mouse();
+  const turn = this._fullTurn();
+  const theta = (this.atan2(m.y, m.x) + turn) % turn;
+  return { r: Math.hypot(m.x, m.y), theta };
+};
+
+/**
+ * Keeps track of every active touch's position taking transformations
+ * into account.
+ *
+ * @returns {Object[]} containing each touch's x and y-coordinates and id
+ */
+p5.prototype.touchPoints = function () {
+  return this.touches.map((t) => ({
+    ...this._coordinateModeToLocal(t.x, t.y),
+    id: t.id,
+  }));
+};
+
+/**
+ * Converts a point in the coordinate mode (such as mouseX and mouseY) to
+ * the current drawing space by inverting every transformation applied
+ * since the start of the frame.
+ *
+ * @param {Number} x the x-coordinate in the coordinate mode
+ * @param {Number} y the y-coordinate in the coordinate mode
+ * @returns {Object} containing the point's x and y-coordinates
+ */
+p5.prototype._coordinateModeToLocal = function (x, y) {
+  const px = this._coordinateModeToCanvas(x, y);
+  return this._canvasToLocal(px.x, px.y);
+};
+
+/**
+ * Converts a point in canvas pixels (origin top left, y-axis down) to the
+ * current drawing space by inverting every transformation applied since
+ * the start of the frame.
+ *
+ * @param {Number} x the x-coordinate in canvas pixels
+ * @param {Number} y the y-coordinate in canvas pixels
+ * @returns {Object} containing the point's x and y-coordinates
+ */
+p5.prototype._canvasToLocal = function (x, y) {
+  if (this._renderer?.isP3D) {
+    return this._unprojectToPlane(x, y);
+  }
+
+  const transform_matrix = this.drawingContext.getTransform();
+  const pd = this.pixelDensity();
+  const { a, b, c, d, e, f } = transform_matrix;
+  const m = [a / pd, b / pd, c / pd, d / pd, e / pd, f / pd];
+  return transformPoint(invertMatrix(m), x, y);
+};
+
+/**
+ * Finds the point on the z = 0 plane of the current WEBGL transform that is
+ * drawn under a given canvas pixel, so that the result stays correct while
+ * the camera moves.
+ *
+ * @param {Number} x the x-coordinate in canvas pixels
+ * @param {Number} y the y-coordinate in canvas pixels
+ * @returns {Object} containing the point's x and y-coordinates
+ */
+p5.prototype._unprojectToPlane = function (x, y) {
+  const p = this._renderer.uPMatrix.mat4;
+  const mv = this._renderer.uMVMatrix.mat4;
+  // Matrices are column-major: element (row, col) is at col * 4 + row.
+  const mvp = new Array(16).fill(0);
+  for (let col = 0; col < 4; col++) {
+    for (let row = 0; row < 4; row++) {
+      for (let k = 0; k < 4; k++) {
+        mvp[col * 4 + row] += p[k * 4 + row] * mv[col * 4 + k];
+      }
+    }
+  }
+  const inv = new p5.Matrix();
+  if (!inv.invert(mvp)) return { x: NaN, y: NaN };
+
+  const ndcX = (2 * x) / this.width - 1;
+  const ndcY = 1 - (2 * y) / this.height;
+  const unproject = (ndcZ) => {
+    const v = [ndcX, ndcY, ndcZ, 1];
+    const out = [0, 0, 0, 0];
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 4; col++) {
+        out[row] += inv.mat4[col * 4 + row] * v[col];
+      }
+    }
+    return out.map((c) => c / out[3]);
+  };
+  // Intersect the ray through the pixel with the plane z = 0.
+  const near = unproject(-1);
+  const far = unproject(1);
+  const t = near[2] / (near[2] - far[2]);
+  return {
+    x: near[0] + t * (far[0] - near[0]),
+    y: near[1] + t * (far[1] - near[1]),
+  };
+};
+
+// Boolean flag that indicates whether any MovableCircles are moving.
+p5.prototype._anyMoving = false;
+
+/**
+ * A class to define a circle that users can drag about the canvas with
+ * their mouse.
  */
 class MovableCircle {
   constructor(pInst, x, y, d, clr = "red") {
@@ -580,313 +2943,3670 @@ class MovableCircle {
     }
   }
 
-  lock(coordinate, value) {
-    if (coordinate === "x") {
-      this.locked.x = value;
-      this.x = value;
-    } else if (coordinate === "y") {
-      this.locked.y = value;
-      this.y = value;
-    }
+  lock(coordinate, value) {
+    if (coordinate === "x") {
+      this.locked.x = value;
+      this.x = value;
+    } else if (coordinate === "y") {
+      this.locked.y = value;
+      this.y = value;
+    }
+  }
+}
+
+/**
+ *  Creates a circle that users can drag about the canvas with their mouse.
+ *
+ * @param {Number} x      the circle's x-coordinate
+ * @param {Number} y      the circle's y-coordinate
+ * @param {Number} d      the circle's diameter
+ * @param {p5.Color} clr  the circle's color when hovered over (Optional)
+ * @returns
+ */
+p5.prototype.createMovableCircle = function (x, y, d, clr = "red") {
+  return new MovableCircle(this, x, y, d, clr);
+};
+
+/**
+ * A point that users can drag along a number line. drawNumberLine() moves
+ * it to its value, and dragging it changes the value.
+ */
+class NumberLinePoint extends MovableCircle {
+  constructor(pInst, value, clr = "red") {
+    super(pInst, 0, 0, 0, clr);
+    this.value = value;
+  }
+}
+
+/**
+ *  Creates a point that users can drag along a number line. Pass it to
+ *  drawNumberLine() in the points option and read its value.
+ *
+ * @param {Number} value  the point's starting value
+ * @param {p5.Color} clr  the point's color (Optional)
+ * @returns {NumberLinePoint} the point
+ */
+p5.prototype.createNumberLinePoint = function (value, clr = "red") {
+  return new NumberLinePoint(this, value, clr);
+};
+
+/**
+ * Marks the angle AVB at vertex V with an arc, or with a square when it
+ * is a right angle, and labels it in the current angleMode(). The arc
+ * always runs the short way from ray VA to ray VB, whichever way the
+ * y-axis points.
+ *
+ * Options:
+ *
+ *   radius               the radius of the arc in pixels
+ *   color                the color of the arc
+ *   fill                 the color inside the arc, or false for none
+ *   thickness            the thickness of the arc in pixels
+ *   arcs                 the number of arcs, to mark equal angles
+ *   reflex               whether to mark the reflex angle instead
+ *   rightAngle           whether to draw a square for right angles
+ *   showLabel            whether to label the angle
+ *   label                replaces the label
+ *   decimals             the decimal places of the label
+ *   labelColor, labelSize
+ *
+ * @param {Number} ax      the x-coordinate of a point on the first ray
+ * @param {Number} ay      the y-coordinate of a point on the first ray
+ * @param {Number} vx      the x-coordinate of the vertex
+ * @param {Number} vy      the y-coordinate of the vertex
+ * @param {Number} bx      the x-coordinate of a point on the second ray
+ * @param {Number} by      the y-coordinate of a point on the second ray
+ * @param {Object} options the angle's options (Optional)
+ * @returns {Number} the angle in the current angleMode()
+ */
+p5.prototype.drawAngle = function (ax, ay, vx, vy, bx, by, options = {}) {
+  if ([ax, ay, vx, vy, bx, by].some((c) => typeof c !== "number")) {
+    throw new p5Error(
+      `drawAngle() was expecting the coordinates of three points, received ${[
+        ax,
+        ay,
+        vx,
+        vy,
+        bx,
+        by,
+      ].join(", ")} instead`
+    );
+  }
+  const u = { x: ax - vx, y: ay - vy };
+  const w = { x: bx - vx, y: by - vy };
+  const lengths = Math.hypot(u.x, u.y) * Math.hypot(w.x, w.y);
+  let angle = Math.abs(
+    Math.atan2(u.x * w.y - u.y * w.x, u.x * w.x + u.y * w.y)
+  );
+  if (options.reflex) angle = 2 * Math.PI - angle;
+
+  const clr = this.color(options.color ?? "gold");
+  const radius = options.radius ?? 30;
+  const pixels = this._localPixelsPerUnit();
+  // The square is drawn on the canvas, so test for a right angle there.
+  const su = { x: u.x * pixels.x, y: u.y * pixels.y };
+  const sw = { x: w.x * pixels.x, y: w.y * pixels.y };
+  const isRight =
+    (options.rightAngle ?? true) &&
+    !options.reflex &&
+    lengths > 0 &&
+    Math.abs(su.x * sw.x + su.y * sw.y) <
+      1e-9 * Math.hypot(su.x, su.y) * Math.hypot(sw.x, sw.y);
+  const ySign = this._isYUp() ? 1 : -1;
+  // Work on the canvas in pixels, with y pointing up, so that the arc
+  // runs the same way in every coordinate mode.
+  const toScreen = (p) => Math.atan2(p.y * pixels.y * ySign, p.x * pixels.x);
+  const at = (theta, r) => [
+    vx + (r * Math.cos(theta)) / pixels.x,
+    vy + (r * Math.sin(theta) * ySign) / pixels.y,
+  ];
+  const start = toScreen(u);
+  let sweep = toScreen(w) - start;
+  sweep = Math.atan2(Math.sin(sweep), Math.cos(sweep));
+  if (options.reflex) sweep -= Math.sign(sweep || 1) * 2 * Math.PI;
+  const arc = (r) => {
+    const n = Math.max(2, Math.ceil((Math.abs(sweep) * r) / 3));
+    return Array.from({ length: n + 1 }, (_, i) =>
+      at(start + (sweep * i) / n, r)
+    );
+  };
+
+  this.push();
+  this.stroke(clr);
+  this._pixelStrokeWeight(options.thickness ?? 2);
+  let fillColor = options.fill && this.color(options.fill);
+  if (options.fill === undefined) {
+    // a copy, since color() returns the caller's p5.Color as it is
+    fillColor = this.color(clr.toString());
+    fillColor.setAlpha(60);
+  }
+  if (isRight) {
+    const side = radius * 0.6;
+    const [ua, ub] = [start, start + sweep];
+    const corner = [
+      vx + (side * (Math.cos(ua) + Math.cos(ub))) / pixels.x,
+      vy + (side * (Math.sin(ua) + Math.sin(ub)) * ySign) / pixels.y,
+    ];
+    if (fillColor) this.fill(fillColor);
+    else this.noFill();
+    this.beginShape();
+    this.vertex(vx, vy);
+    this.vertex(...at(ua, side));
+    this.vertex(...corner);
+    this.vertex(...at(ub, side));
+    this.endShape(this.CLOSE);
+  } else {
+    if (fillColor) {
+      this.push();
+      this.noStroke();
+      this.fill(fillColor);
+      this.beginShape();
+      this.vertex(vx, vy);
+      for (const p of arc(radius)) this.vertex(...p);
+      this.endShape(this.CLOSE);
+      this.pop();
+    }
+    this.noFill();
+    for (let i = 0; i < (options.arcs ?? 1); i++) {
+      this.beginShape();
+      for (const p of arc(radius - 5 * i)) this.vertex(...p);
+      this.endShape();
+    }
+  }
+
+  const result = this._angleMode === this.DEGREES ? this.degrees(angle) : angle;
+  if ((options.showLabel ?? true) && this._canDrawText()) {
+    const size = options.labelSize ?? 14;
+    const label =
+      options.label ??
+      formatAngle(angle, this._angleMode === this.DEGREES, options.decimals);
+    // Put the label just outside the arc, halfway between the rays.
+    const middle = start + sweep / 2;
+    const width = this._labelWidth(label, size);
+    const distance =
+      radius +
+      4 +
+      (Math.abs(Math.cos(middle)) * width) / 2 +
+      (Math.abs(Math.sin(middle)) * size) / 2;
+    this.noStroke();
+    this.fill(this.color(options.labelColor ?? clr));
+    this.textSize(size);
+    this.textAlign(this.CENTER, this.CENTER);
+    this.text(label, ...at(middle, distance));
+  }
+  this.pop();
+  return result;
+};
+
+/**
+ * Formats an angle in degrees, or in radians as a multiple of π when it
+ * is one.
+ *
+ * @param {Number} radians   the angle in radians
+ * @param {Boolean} degrees  whether to format the angle in degrees
+ * @param {Number} decimals  the decimal places to show
+ * @returns {String} the formatted angle
+ */
+function formatAngle(radians, degrees, decimals = 1) {
+  const round = (value) => parseFloat(value.toFixed(decimals));
+  if (degrees) return `${round((radians * 180) / Math.PI)}°`;
+  const turns = radians / Math.PI;
+  for (let den = 1; den <= 12; den++) {
+    if (Math.abs(Math.round(turns * den) - turns * den) < 1e-9) {
+      return formatFraction(turns, "π");
+    }
+  }
+  return `${round(radians)}`;
+}
+
+/**
+ * A measuring instrument that users can drag about the canvas by its
+ * body and turn by its handle.
+ */
+class MeasuringTool {
+  constructor(pInst, x, y) {
+    this.pInst = pInst;
+    this.x = x;
+    this.y = y;
+    // the angle the tool is turned through on the canvas, in radians
+    this.rotation = 0;
+    this.dragging = null;
+    this.pInst._renderer.elt.addEventListener("mouseup", () => {
+      if (this.dragging) this.pInst._anyMoving = false;
+      this.dragging = null;
+    });
+  }
+
+  /**
+   * Converts a point in the tool's frame, measured in pixels along the
+   * tool and upwards from it, to the current drawing space.
+   */
+  at(u, v) {
+    const pixels = this.pInst._localPixelsPerUnit();
+    const ySign = this.pInst._isYUp() ? 1 : -1;
+    const c = Math.cos(this.rotation);
+    const s = Math.sin(this.rotation);
+    return [
+      this.x + (u * c - v * s) / pixels.x,
+      this.y + ((u * s + v * c) * ySign) / pixels.y,
+    ];
+  }
+
+  /**
+   * Converts a point in the current drawing space to the tool's frame.
+   */
+  toFrame(x, y) {
+    const pixels = this.pInst._localPixelsPerUnit();
+    const ySign = this.pInst._isYUp() ? 1 : -1;
+    const px = (x - this.x) * pixels.x;
+    const py = (y - this.y) * pixels.y * ySign;
+    const c = Math.cos(this.rotation);
+    const s = Math.sin(this.rotation);
+    return { u: px * c + py * s, v: -px * s + py * c };
+  }
+
+  /**
+   * Starts, continues or stops dragging a part of the tool. Dragging the
+   * body moves the tool, and dragging the handle turns it about (x, y).
+   *
+   * @param {Object} parts   maps each part's name to whether the mouse is over it
+   * @param {Number[]} handle the position of the handle in the tool's frame
+   */
+  drag(parts, handle) {
+    const pInst = this.pInst;
+    const m = pInst.mouse();
+    if (!pInst.mouseIsPressed) {
+      if (this.dragging) pInst._anyMoving = false;
+      this.dragging = null;
+      return;
+    }
+    if (!this.dragging && !pInst._anyMoving) {
+      const part = Object.keys(parts).find((name) => parts[name]);
+      if (!part) return;
+      pInst._anyMoving = true;
+      this.dragging = { part, dx: this.x - m.x, dy: this.y - m.y };
+    }
+    if (this.dragging?.part === "body") {
+      this.x = m.x + this.dragging.dx;
+      this.y = m.y + this.dragging.dy;
+    } else if (this.dragging?.part === "handle") {
+      const p = this.toFrame(m.x, m.y);
+      this.rotation += Math.atan2(p.v, p.u) - Math.atan2(handle[1], handle[0]);
+    }
+  }
+
+  /**
+   * Draws a round handle for turning the tool.
+   */
+  drawHandle(u, v) {
+    this.pInst.push();
+    this.pInst.stroke(this.pInst.color(this.color));
+    this.pInst._pixelStrokeWeight(2);
+    this.pInst.fill(this.pInst.color("white"));
+    const pixels = this.pInst._localPixelsPerUnit();
+    this.pInst.ellipse(...this.at(u, v), 12 / pixels.x, 12 / pixels.y);
+    this.pInst.pop();
+  }
+}
+
+/**
+ * A protractor with an arm that users turn to measure angles.
+ */
+class Protractor extends MeasuringTool {
+  constructor(pInst, x, y, options = {}) {
+    super(pInst, x, y);
+    this.radius = options.radius ?? 150;
+    this.color = options.color ?? "deepskyblue";
+    // the arm's angle from the base line, in radians
+    this.armAngle = Math.PI / 4;
+  }
+
+  /**
+   * The angle between the base line and the arm in the current
+   * angleMode().
+   */
+  get angle() {
+    return this.pInst._angleMode === this.pInst.DEGREES
+      ? (this.armAngle * 180) / Math.PI
+      : this.armAngle;
+  }
+
+  draw() {
+    const pInst = this.pInst;
+    const r = this.radius;
+    const m = pInst.mouse();
+    const p = this.toFrame(m.x, m.y);
+    const near = (u, v) => Math.hypot(p.u - u, p.v - v) < 10;
+    const armEnd = [
+      (r + 16) * Math.cos(this.armAngle),
+      (r + 16) * Math.sin(this.armAngle),
+    ];
+    // The handle sits at the left end of the base line.
+    const handle = [-r, 0];
+    this.drag(
+      {
+        arm: near(...armEnd),
+        handle: near(...handle),
+        body: p.v >= 0 && Math.hypot(p.u, p.v) <= r,
+      },
+      handle
+    );
+    if (this.dragging?.part === "arm") {
+      const theta = Math.atan2(p.v, p.u);
+      // Snap to whole degrees within the top half.
+      const degrees = Math.round((theta * 180) / Math.PI);
+      this.armAngle = (Math.min(180, Math.max(0, degrees)) * Math.PI) / 180;
+      if (theta < -Math.PI / 2) this.armAngle = Math.PI;
+    }
+
+    const clr = pInst.color(this.color);
+    const isDegrees = pInst._angleMode === pInst.DEGREES;
+    pInst.push();
+    pInst.stroke(clr);
+    pInst._pixelStrokeWeight(1);
+    pInst.fill(pInst.red(clr), pInst.green(clr), pInst.blue(clr), 40);
+    pInst.beginShape();
+    for (let deg = 0; deg <= 180; deg += 2) {
+      const theta = (deg * Math.PI) / 180;
+      pInst.vertex(...this.at(r * Math.cos(theta), r * Math.sin(theta)));
+    }
+    pInst.endShape(pInst.CLOSE);
+    for (let deg = 0; deg <= 180; deg++) {
+      const theta = (deg * Math.PI) / 180;
+      const length = deg % 10 === 0 ? 12 : deg % 5 === 0 ? 8 : 4;
+      const tick = (d) => this.at(d * Math.cos(theta), d * Math.sin(theta));
+      pInst.line(...tick(r), ...tick(r - length));
+    }
+    const pixels = pInst._localPixelsPerUnit();
+    pInst.ellipse(...this.at(0, 0), 6 / pixels.x, 6 / pixels.y);
+    if (pInst._canDrawText()) {
+      pInst.noStroke();
+      pInst.fill(clr);
+      pInst.textSize(10);
+      pInst.textAlign(pInst.CENTER, pInst.CENTER);
+      // Label every 10° in degrees, or every π/6 in radians.
+      for (let deg = 0; deg <= 180; deg += isDegrees ? 10 : 30) {
+        const theta = (deg * Math.PI) / 180;
+        pInst.text(
+          formatAngle(theta, isDegrees, 0).replace("°", ""),
+          ...this.at((r - 22) * Math.cos(theta), (r - 22) * Math.sin(theta))
+        );
+      }
+    }
+
+    // the arm, and its reading below the center
+    pInst.stroke(pInst.color("white"));
+    pInst._pixelStrokeWeight(2);
+    pInst.line(...this.at(0, 0), ...this.at(...armEnd));
+    pInst.pop();
+    this.drawHandle(...armEnd);
+    this.drawHandle(...handle);
+    if (pInst._canDrawText()) {
+      pInst.push();
+      pInst.noStroke();
+      pInst.fill(pInst.color("white"));
+      pInst.textSize(14);
+      pInst.textAlign(pInst.CENTER, pInst.CENTER);
+      pInst.text(formatAngle(this.armAngle, isDegrees), ...this.at(0, -16));
+      pInst.pop();
+    }
+  }
+}
+
+/**
+ * A ruler marked in the units of the current drawing space. Hovering
+ * over it shows the distance from its zero mark.
+ */
+class Ruler extends MeasuringTool {
+  constructor(pInst, x, y, length, options = {}) {
+    super(pInst, x, y);
+    this.length = length;
+    this.color = options.color ?? "gold";
+    // the distance from the zero mark under the mouse, or null
+    this.reading = null;
+  }
+
+  draw() {
+    const pInst = this.pInst;
+    const pixels = pInst._localPixelsPerUnit();
+    // Units per pixel along the ruler, which differ between directions
+    // when x and y are scaled differently.
+    const unitsPerPixel = Math.hypot(
+      Math.cos(this.rotation) / pixels.x,
+      Math.sin(this.rotation) / pixels.y
+    );
+    // By default, about 300 pixels rounded to a nice number of units.
+    const nice = niceNumber(30 * unitsPerPixel);
+    const length =
+      this.length ?? Math.round((300 * unitsPerPixel) / nice) * nice;
+    const size = length / unitsPerPixel;
+    const height = 40;
+    const m = pInst.mouse();
+    const p = this.toFrame(m.x, m.y);
+    const over = p.u >= 0 && p.u <= size && p.v >= 0 && p.v <= height;
+    // The handle sits just past the far end.
+    const handle = [size + 14, height / 2];
+    this.drag(
+      {
+        handle: Math.hypot(p.u - handle[0], p.v - handle[1]) < 10,
+        body: over,
+      },
+      handle
+    );
+
+    const clr = pInst.color(this.color);
+    const step = autoTickStep(
+      0,
+      length,
+      1 / unitsPerPixel,
+      (value) => pInst._labelWidth(formatNumber(value), 10) + 10
+    );
+    const ticks = tickValues(0, length, step, 4);
+    pInst.push();
+    pInst.stroke(clr);
+    pInst._pixelStrokeWeight(1);
+    pInst.fill(pInst.red(clr), pInst.green(clr), pInst.blue(clr), 40);
+    pInst.beginShape();
+    pInst.vertex(...this.at(0, 0));
+    pInst.vertex(...this.at(size, 0));
+    pInst.vertex(...this.at(size, height));
+    pInst.vertex(...this.at(0, height));
+    pInst.endShape(pInst.CLOSE);
+    for (const tick of ticks) {
+      const u = tick.value / unitsPerPixel;
+      pInst.line(...this.at(u, 0), ...this.at(u, tick.minor ? 6 : 12));
+    }
+    if (pInst._canDrawText()) {
+      pInst.noStroke();
+      pInst.fill(clr);
+      pInst.textSize(10);
+      pInst.textAlign(pInst.CENTER, pInst.CENTER);
+      for (const tick of ticks) {
+        if (tick.minor) continue;
+        const u = tick.value / unitsPerPixel;
+        pInst.text(formatNumber(tick.value), ...this.at(u, 22));
+      }
+    }
+
+    // Show the distance from the zero mark to the mouse, to a tenth of
+    // the distance between labeled ticks.
+    this.reading = null;
+    if (over && !this.dragging) {
+      const precision = step / 10;
+      this.reading = parseFloat(
+        (Math.round((p.u * unitsPerPixel) / precision) * precision).toPrecision(
+          12
+        )
+      );
+      const u = this.reading / unitsPerPixel;
+      pInst.stroke(pInst.color("white"));
+      pInst.line(...this.at(u, 0), ...this.at(u, height));
+      if (pInst._canDrawText()) {
+        pInst.noStroke();
+        pInst.fill(pInst.color("white"));
+        pInst.textSize(14);
+        pInst.text(formatNumber(this.reading), ...this.at(u, height + 12));
+      }
+    }
+    pInst.pop();
+    this.drawHandle(...handle);
+  }
+}
+
+/**
+ *  Creates a protractor that users can drag about the canvas and turn by
+ *  the handle on its base line. Dragging its arm measures the angle from
+ *  the base line, which is read from its angle property in the current
+ *  angleMode(). Call its draw() method in draw().
+ *
+ * @param {Number} x       the x-coordinate of the protractor's center
+ * @param {Number} y       the y-coordinate of the protractor's center
+ * @param {Object} options the radius in pixels and color (Optional)
+ * @returns {Protractor} the protractor
+ */
+p5.prototype.createProtractor = function (x, y, options = {}) {
+  return new Protractor(this, x, y, options);
+};
+
+/**
+ *  Creates a ruler marked in the units of the current drawing space that
+ *  users can drag about the canvas and turn by the handle at its end.
+ *  Call its draw() method in draw().
+ *
+ * @param {Number} x       the x-coordinate of the ruler's zero mark
+ * @param {Number} y       the y-coordinate of the ruler's zero mark
+ * @param {Number} length  the ruler's length in units (Optional)
+ * @param {Object} options the color (Optional)
+ * @returns {Ruler} the ruler
+ */
+p5.prototype.createRuler = function (x, y, length, options = {}) {
+  return new Ruler(this, x, y, length, options);
+};
+
+/**
+ *  Returns the current UNIX time in seconds.
+ *
+ * @returns {Number} the time
+ */
+p5.prototype.unixTime = function () {
+  return Math.round(Date.now() / 1000);
+};
+
+/**
+ *  Simplifies the task of running separate sketches by switching in response
+ *  to key presses.
+ *
+ * @param {Number} numMilestones  the number of milestones
+ * @param {String} path           the path to the folder containing sketches (Optional)
+ * @param {String} prefix         the prefix used for files containing sketches (Optional)
+ */
+p5.prototype.createManager = function (
+  numMilestones,
+  path = "milestones",
+  prefix = "m"
+) {
+  document.addEventListener("keypress", function (event) {
+    for (let i = 0; i < numMilestones; i += 1) {
+      if (event.keyCode === 49 + i) {
+        const pre = document.getElementById("output");
+        if (!pre === null) {
+          pre.remove();
+        }
+
+        const div = document.getElementById("sketch-holder");
+        if (!div === null) {
+          div.remove();
+        }
+
+        const filename = `${path}/${prefix}${i + 1}.py`;
+        runCode(filename);
+        break;
+      }
+    }
+  });
+};
+
+/**
+ * Draws a single die that displays a number 1-6.
+ *
+ * @param {Number} roll         the number to display
+ * @param {Number} x            the die's x-coordinate
+ * @param {Number} y            the die's y-coordinate
+ * @param {p5.Color} primary    the die's primary (background) color (Optional)
+ * @param {p5.Color} secondary  the die's secondary (circle) color (Optional)
+ */
+p5.prototype.die = function (
+  roll,
+  x,
+  y,
+  primary = "white",
+  secondary = "black"
+) {
+  if ([1, 2, 3, 4, 5, 6].indexOf(roll) < 0) {
+    throw new p5Error("roll must be an integer from 1 to 6");
+  }
+  let s = 15;
+  this.push();
+  this.fill(primary);
+  this.noStroke();
+  this.rectMode(this.CENTER);
+  this.square(x, y, 4 * s, 6);
+  this.fill(secondary);
+  if (roll === 1) {
+    this.circle(x, y, s);
+  } else if (roll === 2) {
+    this.circle(x + s, y - s, s);
+    this.circle(x - s, y + s, s);
+  } else if (roll === 3) {
+    this.circle(x, y, s);
+    this.circle(x + s, y - s, s);
+    this.circle(x - s, y + s, s);
+  } else if (roll === 4) {
+    this.circle(x + s, y - s, s);
+    this.circle(x - s, y + s, s);
+    this.circle(x + s, y + s, s);
+    this.circle(x - s, y - s, s);
+  } else if (roll === 5) {
+    this.circle(x, y, s);
+    this.circle(x + s, y - s, s);
+    this.circle(x - s, y + s, s);
+    this.circle(x + s, y + s, s);
+    this.circle(x - s, y - s, s);
+  } else {
+    this.circle(x + s, y - (s * 6) / 5, s);
+    this.circle(x - s, y + (s * 6) / 5, s);
+    this.circle(x + s, y + (s * 6) / 5, s);
+    this.circle(x - s, y - (s * 6) / 5, s);
+    this.circle(x - s, y, s);
+    this.circle(x + s, y, s);
+  }
+  this.pop();
+};
+
+/**
+ * Draws a bar graph given an Array of data. Each entry is either a number
+ * or an Array with one number per series, drawn as grouped or stacked
+ * bars. Bars grow up from zero for positive values and down for negative
+ * ones, and the value axis is scaled to fit the data.
+ *
+ * @param {Number[]|Number[][]} data the data to graph
+ * @param {Array} labels    the labels for the data, or an options Object (Optional)
+ * @param {Number} width    the width of the graph (Optional)
+ * @param {Number} height   the height of the graph (Optional)
+ * @param {Number} barScale the scale factor from data values to bar height (Optional)
+ */
+p5.prototype.drawBarGraph = function (data, labels, width, height, barScale) {
+  const options =
+    labels !== null && typeof labels === "object" && !Array.isArray(labels)
+      ? labels
+      : { labels, width, height, barScale };
+  const rows = data.map((d) => [].concat(d).map(Number));
+  const seriesCount = Math.max(1, ...rows.map((row) => row.length));
+  const stacked = options.stacked ?? false;
+  const horizontal = options.horizontal ?? false;
+  const names = options.labels ?? rows.map((_, i) => `${i + 1}`);
+
+  // Like drawTickAxes(), the graph sits on the origin, filling the space to
+  // its right and above it on screen. If there is little room there, it
+  // fills the canvas instead.
+  const visible = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  const right = visible.xMax - 16 / pixels.x;
+  const up = (this._isYUp() ? visible.yMax : -visible.yMin) - 16 / pixels.y;
+  const area = {};
+  if (
+    options.x !== undefined ||
+    options.y !== undefined ||
+    (right * pixels.x >= 100 && up * pixels.y >= 100)
+  ) {
+    area.x = options.x ?? 0;
+    area.y = options.y ?? 0;
+    area.width = options.width ?? right;
+    area.height = options.height ?? up;
+  }
+
+  // The lowest and highest ends of the bars.
+  const ends = rows.flatMap((row) => {
+    if (!stacked) return row;
+    const sum = (sign) =>
+      row.filter((v) => Math.sign(v) === sign).reduce((a, b) => a + b, 0);
+    return [sum(1), sum(-1)];
+  });
+  let valueRange = options.valueRange;
+  if (!valueRange && options.barScale) {
+    // An old-style scale from data values to bar lengths.
+    const lo = Math.min(0, ...ends);
+    const length = horizontal ? area.width : area.height;
+    if (length) valueRange = [lo, lo + length / options.barScale];
+  }
+
+  // Categories sit at 0.5, 1.5, ... along one axis and values along the other.
+  const categories = [0, rows.length];
+  // Horizontal bars list the first category at the top.
+  const place = (i) => (horizontal ? rows.length - 1 - i : i);
+  const chart = this._chartLayout(
+    horizontal ? ends : categories,
+    horizontal ? categories : ends,
+    {
+      ...options,
+      ...area,
+      [horizontal ? "xRange" : "yRange"]: valueRange,
+      [horizontal ? "yRange" : "xRange"]: categories,
+      [horizontal ? "yCategories" : "xCategories"]: horizontal
+        ? [...names].reverse()
+        : names,
+      [horizontal ? "xIncludeZero" : "yIncludeZero"]: true,
+    }
+  );
+  this._drawChartFrame(chart);
+
+  // A single series uses the current fill color unless given colors.
+  const palette =
+    options.colors ??
+    (seriesCount === 1
+      ? [this._currentFill() ?? this._palette[0]]
+      : this._palette);
+  // One series gets a color per bar, and several get a color per series.
+  const colorOf = (i, k) =>
+    palette[(seriesCount === 1 ? i : k) % palette.length];
+  const gap = options.barGap ?? 0.2;
+  const slot = stacked ? 1 - gap : (1 - gap) / seriesCount;
+  // Maps a category position and value to the current drawing space.
+  const at = (c, v) => (horizontal ? chart.toLocal(v, c) : chart.toLocal(c, v));
+
+  const bars = [];
+  rows.forEach((row, i) => {
+    const offsets = { 1: 0, "-1": 0 };
+    row.forEach((value, k) => {
+      if (!Number.isFinite(value)) return;
+      const start = place(i) + gap / 2 + (stacked ? 0 : k * slot);
+      let from = 0;
+      if (stacked) {
+        const sign = value < 0 ? -1 : 1;
+        from = offsets[sign];
+        offsets[sign] += value;
+      }
+      bars.push({ i, k, value, start, from, to: from + value });
+    });
+  });
+
+  this.push();
+  this.rectMode(this.CORNERS);
+  this.noStroke();
+  for (const bar of bars) {
+    const a = at(bar.start, bar.from);
+    const b = at(bar.start + slot, bar.to);
+    this.fill(this.color(colorOf(bar.i, bar.k)));
+    this.rect(a.x, a.y, b.x, b.y);
+  }
+  // the zero line
+  this.stroke(this.color(chart.axisColor));
+  this._pixelStrokeWeight(1);
+  const zeroA = at(0, 0);
+  const zeroB = at(rows.length, 0);
+  this.line(zeroA.x, zeroA.y, zeroB.x, zeroB.y);
+
+  if (this._canDrawText()) {
+    this.noStroke();
+    this.fill(this.color(chart.labelColor));
+    this.textSize(chart.labelSize);
+    if (options.showValues) {
+      // Values sit just past the end of each bar, or inside stacked bars.
+      const valueFormat = horizontal ? chart.xFormat : chart.yFormat;
+      for (const bar of bars) {
+        const sign = bar.value < 0 ? -1 : 1;
+        const outside = stacked ? 0 : 6;
+        const c = bar.start + slot / 2;
+        const p = at(c, stacked ? (bar.from + bar.to) / 2 : bar.to);
+        if (horizontal) {
+          this.textAlign(
+            stacked ? this.CENTER : sign > 0 ? this.LEFT : this.RIGHT,
+            this.CENTER
+          );
+          p.x += (sign * outside) / chart.localPixels.x;
+        } else {
+          this.textAlign(
+            this.CENTER,
+            stacked ? this.CENTER : sign > 0 ? this.BOTTOM : this.TOP
+          );
+          p.y += (chart.yDir * sign * outside) / chart.localPixels.y;
+        }
+        this.text(valueFormat(bar.value), p.x, p.y);
+      }
+    }
+    if (options.series) {
+      // a legend in the top right corner
+      const top = chart.toLocal(chart.bounds.xMax, chart.bounds.yMax);
+      const size = chart.labelSize;
+      this.textAlign(this.RIGHT, this.CENTER);
+      options.series.forEach((name, k) => {
+        const y =
+          top.y - (chart.yDir * (k + 1) * 1.5 * size) / chart.localPixels.y;
+        const x = top.x - 8 / chart.localPixels.x;
+        this.fill(this.color(palette[k % palette.length]));
+        this.rect(
+          x - size / chart.localPixels.x,
+          y - size / 2 / chart.localPixels.y,
+          x,
+          y + size / 2 / chart.localPixels.y
+        );
+        this.fill(this.color(chart.labelColor));
+        this.text(name, x - (size + 6) / chart.localPixels.x, y);
+      });
+    }
+  }
+  this.pop();
+};
+
+/**
+ * Draws a pie chart given an Array of data. Slices start at the top and
+ * run clockwise on screen in every coordinate mode, and the slice under
+ * the mouse is highlighted.
+ *
+ * @param {Number[]} data    the data to chart
+ * @param {String[]} labels  the labels for the data, or an options Object (Optional)
+ * @param {Object} options   the options described in the README (Optional)
+ * @returns {Object} the slices with their percentages, and the index of the
+ *                   slice under the mouse (or -1)
+ */
+p5.prototype.pieChart = function (data, labels, options = {}) {
+  if (labels !== null && typeof labels === "object" && !Array.isArray(labels)) {
+    options = labels;
+    labels = undefined;
+  }
+  if (!Array.isArray(data)) {
+    throw new p5Error("pieChart() expects an Array of numbers.");
+  }
+  const values = data.map((v) => Math.max(0, Number(v) || 0));
+  const total = values.reduce((a, b) => a + b, 0);
+  if (total === 0) {
+    throw new p5Error("pieChart() needs at least one positive value.");
+  }
+  const names = labels ?? options.labels ?? values.map((_, i) => `${i + 1}`);
+  const legend = options.legend ?? false;
+  const labelColor = options.labelColor ?? "white";
+  const labelSize = options.labelSize ?? 12;
+  const palette = options.colors ?? [...this._palette, "tomato", "turquoise"];
+
+  // Sizes are in pixels and positions in the current drawing space.
+  const visible = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  const yDir = this._isYUp() ? 1 : -1;
+  const legendWidth = legend
+    ? 40 + labelSize * 0.6 * Math.max(...names.map((n) => String(n).length))
+    : 0;
+  const x =
+    options.x ?? (visible.xMin + visible.xMax) / 2 - legendWidth / 2 / pixels.x;
+  const y = options.y ?? (visible.yMin + visible.yMax) / 2;
+  const radius =
+    options.radius ??
+    0.4 *
+      Math.min(
+        (visible.xMax - visible.xMin) * pixels.x - legendWidth,
+        (visible.yMax - visible.yMin) * pixels.y
+      );
+  const donut = options.donut === true ? 0.5 : options.donut || 0;
+  const inner = donut * radius;
+  const explodeBy = options.explodeDistance ?? 10;
+  const exploded = new Set(
+    options.explode === true
+      ? values.keys()
+      : [].concat(options.explode ?? []).map(Number)
+  );
+  // Converts an offset in pixels, pointing right and up on screen, to the
+  // current drawing space.
+  const at = (dx, dy) => ({
+    x: x + dx / pixels.x,
+    y: y + (yDir * dy) / pixels.y,
+  });
+  // Angles are measured in turns, clockwise from the top.
+  const onCircle = (turn, r, offset = { x: 0, y: 0 }) =>
+    at(
+      offset.x + r * Math.sin(2 * Math.PI * turn),
+      offset.y + r * Math.cos(2 * Math.PI * turn)
+    );
+
+  let start = 0;
+  const slices = values.map((value, i) => {
+    const fraction = value / total;
+    const slice = {
+      label: names[i],
+      value,
+      fraction,
+      percent: parseFloat((100 * fraction).toPrecision(12)),
+      start,
+      end: start + fraction,
+    };
+    start += fraction;
+    return slice;
+  });
+
+  // Find the slice under the mouse before anything moves.
+  let hovered = -1;
+  if (options.hover ?? true) {
+    const m = this.mouse();
+    const dx = (m.x - x) * pixels.x;
+    const dy = yDir * (m.y - y) * pixels.y;
+    const distance = Math.hypot(dx, dy);
+    const turn = (Math.atan2(dx, dy) / (2 * Math.PI) + 1) % 1;
+    if (distance >= inner && distance <= radius + explodeBy) {
+      hovered = slices.findIndex(
+        (s) => s.fraction > 0 && turn >= s.start && turn < s.end
+      );
+    }
+  }
+
+  this.push();
+  this.stroke(this.color(options.strokeColor ?? "black"));
+  this._pixelStrokeWeight(options.strokeWeight ?? 2);
+  const offsets = slices.map((s, i) => {
+    const middle = (s.start + s.end) / 2;
+    const distance = exploded.has(i) || i === hovered ? explodeBy : 0;
+    return {
+      x: distance * Math.sin(2 * Math.PI * middle),
+      y: distance * Math.cos(2 * Math.PI * middle),
+    };
+  });
+  slices.forEach((s, i) => {
+    if (s.fraction === 0) return;
+    let c = this.color(palette[i % palette.length]);
+    if (i === hovered) c = this.lerpColor(c, this.color("white"), 0.3);
+    this.fill(c);
+    // about one vertex every 2 degrees
+    const steps = Math.max(2, Math.ceil(s.fraction * 180));
+    this.beginShape();
+    for (let k = 0; k <= steps; k++) {
+      const p = onCircle(
+        s.start + (k / steps) * s.fraction,
+        radius,
+        offsets[i]
+      );
+      this.vertex(p.x, p.y);
+    }
+    if (inner > 0) {
+      for (let k = steps; k >= 0; k--) {
+        const p = onCircle(
+          s.start + (k / steps) * s.fraction,
+          inner,
+          offsets[i]
+        );
+        this.vertex(p.x, p.y);
+      }
+    } else {
+      const p = at(offsets[i].x, offsets[i].y);
+      this.vertex(p.x, p.y);
+    }
+    this.endShape(this.CLOSE);
+  });
+
+  if (this._canDrawText()) {
+    this.noStroke();
+    this.textSize(labelSize);
+    const decimals = options.decimals ?? 0;
+    slices.forEach((s, i) => {
+      if (s.fraction === 0) return;
+      const middle = (s.start + s.end) / 2;
+      // Percentages sit inside slices that are large enough.
+      if ((options.showPercentages ?? true) && s.fraction >= 0.04) {
+        this.fill(this.color(options.percentColor ?? "black"));
+        this.textAlign(this.CENTER, this.CENTER);
+        const p = onCircle(
+          middle,
+          (radius + inner) / 2 + (inner ? 0 : radius * 0.1),
+          offsets[i]
+        );
+        this.text(`${s.percent.toFixed(decimals)}%`, p.x, p.y);
+      }
+      // Without a legend, labels sit outside the slices.
+      if (!legend && (options.showLabels ?? true)) {
+        this.fill(this.color(labelColor));
+        const sin = Math.sin(2 * Math.PI * middle);
+        this.textAlign(
+          Math.abs(sin) < 0.1 ? this.CENTER : sin > 0 ? this.LEFT : this.RIGHT,
+          this.CENTER
+        );
+        const p = onCircle(middle, radius + 8 + labelSize / 2, offsets[i]);
+        this.text(String(s.label), p.x, p.y);
+      }
+    });
+
+    if (legend) {
+      const left = radius + 30;
+      this.textAlign(this.LEFT, this.CENTER);
+      slices.forEach((s, i) => {
+        const dy = (slices.length / 2 - i - 0.5) * 1.6 * labelSize;
+        const a = at(left, dy - labelSize / 2);
+        const b = at(left + labelSize, dy + labelSize / 2);
+        this.rectMode(this.CORNERS);
+        this.fill(this.color(palette[i % palette.length]));
+        this.rect(a.x, a.y, b.x, b.y);
+        this.fill(this.color(labelColor));
+        const p = at(left + labelSize + 6, dy);
+        this.text(String(s.label), p.x, p.y);
+      });
+    }
+  }
+  this.pop();
+
+  return {
+    slices: slices.map(({ label, value, fraction, percent }) => ({
+      label,
+      value,
+      fraction,
+      percent,
+    })),
+    hovered,
+  };
+};
+
+/**
+ * A class to define a single piece of confetti for the celebrate function
+ */
+class Confetti {
+  constructor(pInst, _x, _y, _s) {
+    this.pInst = pInst;
+    let confettiColor = [
+      this.pInst.color("#00aeef"),
+      this.pInst.color("#ec008c"),
+      this.pInst.color("#72c8b6"),
+      this.pInst.color("#e6dd6a"),
+      this.pInst.color("#8641bf"),
+      this.pInst.color("#42d4be"),
+    ];
+    this.x = _x;
+    this.y = _y;
+    this.speed = _s;
+    this.time = this.pInst.random(0, 100);
+    this.color = this.pInst.random(confettiColor);
+    this.amp = this.pInst.random(2, 30);
+    this.phase = this.pInst.random(0.5, 2);
+    this.size = this.pInst.random(
+      this.pInst.width / 25,
+      this.pInst.height / 50
+    );
+    this.form = this.pInst.round(this.pInst.random(0, 1));
+  }
+
+  confettiDisplay() {
+    this.pInst.fill(this.color);
+    // blendMode(SCREEN);
+    this.pInst.noStroke();
+    this.pInst.push();
+    this.pInst.translate(this.x, this.y);
+    this.pInst.translate(
+      this.amp * Math.sin(this.time * this.phase),
+      this.speed * Math.cos(2 * this.time * this.phase)
+    );
+    this.pInst.rotate(this.time);
+    this.pInst.rectMode(this.pInst.CENTER);
+    this.pInst.scale(Math.cos(this.time / 4), Math.sin(this.time / 4));
+    if (this.form === 0) {
+      this.pInst.rect(0, 0, this.size, this.size / 2);
+    } else {
+      this.pInst.ellipse(0, 0, this.size);
+    }
+    this.pInst.pop();
+
+    this.time = this.time + 0.1;
+
+    this.speed += 8 / 200;
+
+    this.y += this.speed;
+  }
+}
+
+/**
+ * Populates confetti array with pieces specified by amount
+ *
+ * @param {Object} pInst    p5 instance
+ * @param {Number} amount   the amount of confetti pieces to create
+ */
+let confetti = [];
+
+function createConfetti(pInst, amount) {
+  for (let i = 0; i < amount; i++) {
+    confetti[i] = new Confetti(
+      pInst,
+      pInst.random(0, pInst.width),
+      pInst.random(-pInst.height, 0),
+      pInst.random(-1, 1)
+    );
+  }
+}
+
+/**
+ * Populate confetti array and display confetti on screen. When confetti reaches bottom of screen recreate it.
+ */
+p5.prototype.celebrate = function celebrate() {
+  // save current coordinate mode
+  const currentCoordMode = this._coordinateMode;
+  const coordModeSet = this._coordinateModeSet;
+  this.coordinateMode(this.TOP_LEFT);
+  // check if confetti array is empty. if so create confetti.
+  if (confetti.length === 0) {
+    createConfetti(this, 100);
+  }
+  //let go half of the confetti
+  for (let i = 0; i < confetti.length / 2; i++) {
+    confetti[i].confettiDisplay();
+
+    if (confetti[i].y > this.height) {
+      confetti[i] = new Confetti(
+        this,
+        this.random(0, this.width),
+        this.random(-this.height, 0),
+        this.random(-1, 1)
+      );
+    }
+  }
+  // let go of other half
+  for (let i = Math.round(confetti.length / 2); i < confetti.length; i++) {
+    confetti[i].confettiDisplay();
+
+    if (confetti[i].y > this.height) {
+      confetti[i] = new Confetti(
+        this,
+        this.random(0, this.width),
+        this.random(-this.height, 0),
+        this.random(-1, 1)
+      );
+    }
+  }
+  // load coordinate mode
+  this._setCoordinateMode(currentCoordMode, coordModeSet);
+};
+
+// ====================================
+// Geometry
+// ====================================
+
+/**
+ * Draws a point with an optional name beside it, e.g. "A" or, with
+ * showCoordinates, "A (2, 3)".
+ *
+ * Options:
+ *
+ *   color                the color of the point
+ *   size                 the diameter of the point in pixels
+ *   showCoordinates      whether to add the point's coordinates to its label
+ *   decimals             the decimal places of the coordinates
+ *   labelColor, labelSize
+ *
+ * @param {Number} x       the point's x-coordinate
+ * @param {Number} y       the point's y-coordinate
+ * @param {String} name    the point's name (Optional)
+ * @param {Object} options the point's options (Optional)
+ */
+p5.prototype.drawPoint = function (x, y, name = "", options = {}) {
+  if (name !== null && typeof name === "object") [name, options] = ["", name];
+  const clr = this.color(options.color ?? "white");
+  const size = options.size ?? 8;
+  const pixels = this._localPixelsPerUnit();
+  this.push();
+  this.noStroke();
+  this.fill(clr);
+  this.ellipse(x, y, size / pixels.x, size / pixels.y);
+  if (options.highlight) {
+    this.noFill();
+    this.stroke(clr);
+    this._pixelStrokeWeight(1);
+    this.ellipse(x, y, (size + 8) / pixels.x, (size + 8) / pixels.y);
+  }
+  let label = name;
+  if (options.showCoordinates) {
+    const round = (value) => parseFloat(value.toFixed(options.decimals ?? 2));
+    label = `${name}${name ? " " : ""}(${round(x)}, ${round(y)})`;
+  }
+  if (label && this._canDrawText()) {
+    // Label above and to the right of the point on the canvas.
+    const up = this._isYUp() ? 1 : -1;
+    this.noStroke();
+    this.fill(this.color(options.labelColor ?? clr));
+    this.textSize(options.labelSize ?? 14);
+    this.textAlign(this.LEFT, this.BOTTOM);
+    this.text(label, x + (size / 2 + 2) / pixels.x, y + (up * 4) / pixels.y);
+  }
+  this.pop();
+};
+
+/**
+ * A labeled point that users can drag about the canvas. Shapes drawn
+ * from its x and y in draw() follow it as it moves.
+ */
+class GeometryPoint extends MovableCircle {
+  constructor(pInst, x, y, name = "", options = {}) {
+    super(pInst, x, y, 0, options.color ?? "white");
+    this.name = name;
+    this.options = options;
+    this.isDraggable = options.draggable ?? true;
+  }
+
+  draw() {
+    const pixels = this.pInst._localPixelsPerUnit();
+    // Easier to grab than the dot itself.
+    this.d = 20 / pixels.x;
+    if (this.isDraggable) {
+      if (this.isMovable) {
+        const m = this.pInst.mouse();
+        if (this.locked.x === "free") this.x = m.x;
+        if (this.locked.y === "free") this.y = m.y;
+      }
+      this.makeMovable();
+    }
+    this.pInst.drawPoint(this.x, this.y, this.name, {
+      ...this.options,
+      highlight: this.isDraggable && (this.isMovable || this.isMouseHovering()),
+    });
+  }
+}
+
+/**
+ *  Creates a named point that users can drag about the canvas. Call its
+ *  draw() method in draw() and build shapes from its x and y so that
+ *  they update as it moves.
+ *
+ * @param {Number} x       the point's x-coordinate
+ * @param {Number} y       the point's y-coordinate
+ * @param {String} name    the point's name (Optional)
+ * @param {Object} options the options of drawPoint(), and draggable (Optional)
+ * @returns {GeometryPoint} the point
+ */
+p5.prototype.createPoint = function (x, y, name = "", options = {}) {
+  if (name !== null && typeof name === "object") [name, options] = ["", name];
+  return new GeometryPoint(this, x, y, name, options);
+};
+
+/**
+ * Draws the segment between two points, labeled with its length.
+ *
+ * Options:
+ *
+ *   color                the segment's color, the current stroke by default
+ *   thickness            the thickness of the segment in pixels
+ *   dash                 the lengths of the dashes and gaps in pixels
+ *   name                 adds a name to the label, e.g. "AB = 5"
+ *   showLength           whether to label the segment with its length
+ *   decimals             the decimal places of the length
+ *   labelColor, labelSize, labelSide
+ *
+ * @param {Number} x1      the x-coordinate of the first point
+ * @param {Number} y1      the y-coordinate of the first point
+ * @param {Number} x2      the x-coordinate of the second point
+ * @param {Number} y2      the y-coordinate of the second point
+ * @param {Object} options the segment's options (Optional)
+ * @returns {Number} the segment's length
+ */
+p5.prototype.drawSegment = function (x1, y1, x2, y2, options = {}) {
+  const current = this._currentStroke();
+  const clr =
+    options.color !== undefined ? this.color(options.color) : current.color;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  this.push();
+  this.stroke(clr);
+  this._pixelStrokeWeight(options.thickness ?? current.weight);
+  this._pixelLineDash(options.dash);
+  this.line(x1, y1, x2, y2);
+  this.pop();
+  if (options.showLength ?? true) {
+    const value = parseFloat(length.toFixed(options.decimals ?? 2));
+    const label = options.name ? `${options.name} = ${value}` : value;
+    this._vectorLabel(label, x1, y1, x2 - x1, y2 - y1, {
+      color: clr,
+      ...options,
+    });
+  }
+  return length;
+};
+
+/**
+ * Draws the line through two points across the whole visible canvas.
+ *
+ * @param {Number} x1      the x-coordinate of the first point
+ * @param {Number} y1      the y-coordinate of the first point
+ * @param {Number} x2      the x-coordinate of the second point
+ * @param {Number} y2      the y-coordinate of the second point
+ * @param {Object} options the color, thickness and dash to draw with (Optional)
+ */
+p5.prototype.drawLineThrough = function (x1, y1, x2, y2, options = {}) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  if (dx === 0 && dy === 0) return;
+  const bounds = this._visibleBounds();
+  // Far enough either way to cross the whole canvas.
+  const reach =
+    (Math.hypot(bounds.xMax - bounds.xMin, bounds.yMax - bounds.yMin) +
+      Math.hypot(
+        x1 - (bounds.xMin + bounds.xMax) / 2,
+        y1 - (bounds.yMin + bounds.yMax) / 2
+      )) /
+    Math.hypot(dx, dy);
+  const ends = clipSegment(
+    { x: x1 - dx * reach, y: y1 - dy * reach },
+    { x: x1 + dx * reach, y: y1 + dy * reach },
+    bounds
+  );
+  if (!ends) return;
+  this.drawSegment(ends[0].x, ends[0].y, ends[1].x, ends[1].y, {
+    ...options,
+    showLength: false,
+  });
+};
+
+/**
+ * Draws a regular polygon with the current fill and stroke. By default
+ * its bottom side is level on the canvas.
+ *
+ * @param {Number} x       the x-coordinate of the polygon's center
+ * @param {Number} y       the y-coordinate of the polygon's center
+ * @param {Number} radius  the distance from the center to each vertex
+ * @param {Number} sides   the number of sides
+ * @param {Object} options the rotation, in the current angleMode(), and
+ *                         names for the vertices (Optional)
+ * @returns {Object[]} the x and y-coordinates of each vertex
+ */
+p5.prototype.drawRegularPolygon = function (x, y, radius, sides, options = {}) {
+  if (!Number.isInteger(sides) || sides < 3) {
+    throw new p5Error(
+      `drawRegularPolygon() was expecting at least 3 sides, received ${sides} instead`
+    );
+  }
+  // Start at the bottom left vertex on the canvas and go around
+  // counterclockwise as seen on the canvas.
+  const ySign = this._isYUp() ? 1 : -1;
+  const start =
+    -Math.PI / 2 - Math.PI / sides + this._toRadians(options.rotation ?? 0);
+  const vertices = Array.from({ length: sides }, (_, i) => {
+    const theta = start + (i * 2 * Math.PI) / sides;
+    return {
+      x: x + radius * Math.cos(theta),
+      y: y + radius * Math.sin(theta) * ySign,
+    };
+  });
+  this.beginShape();
+  for (const v of vertices) this.vertex(v.x, v.y);
+  this.endShape(this.CLOSE);
+  (options.names ?? []).forEach((name, i) => {
+    if (vertices[i]) this.drawPoint(vertices[i].x, vertices[i].y, name);
+  });
+  return vertices;
+};
+
+/**
+ * Draws the perpendicular bisector of the segment between two points,
+ * with marks showing that it cuts the segment in half at a right angle.
+ *
+ * @param {Number} x1      the x-coordinate of the first point
+ * @param {Number} y1      the y-coordinate of the first point
+ * @param {Number} x2      the x-coordinate of the second point
+ * @param {Number} y2      the y-coordinate of the second point
+ * @param {Object} options the color, thickness and dash to draw with (Optional)
+ * @returns {Object} two points on the bisector as x1, y1, x2 and y2
+ */
+p5.prototype.drawPerpendicularBisector = function (
+  x1,
+  y1,
+  x2,
+  y2,
+  options = {}
+) {
+  const mx = (x1 + x2) / 2;
+  const my = (y1 + y2) / 2;
+  const line = { x1: mx, y1: my, x2: mx - (y2 - y1), y2: my + (x2 - x1) };
+  this.drawLineThrough(line.x1, line.y1, line.x2, line.y2, options);
+  const clr = options.color ?? this._currentStroke().color;
+  this.drawAngle(x2, y2, mx, my, line.x2, line.y2, {
+    color: clr,
+    radius: 12,
+    fill: false,
+    thickness: 1,
+    showLabel: false,
+  });
+  // Mark each half of the segment as equal.
+  const pixels = this._localPixelsPerUnit();
+  const ySign = this._isYUp() ? -1 : 1;
+  const px = (x2 - x1) * pixels.x;
+  const py = (y2 - y1) * pixels.y * ySign;
+  const length = Math.hypot(px, py);
+  if (length > 0) {
+    const nx = (py / length) * 6;
+    const ny = (-px / length) * 6;
+    this.push();
+    this.stroke(this.color(clr));
+    this._pixelStrokeWeight(2);
+    for (const t of [0.25, 0.75]) {
+      const cx = x1 + (x2 - x1) * t;
+      const cy = y1 + (y2 - y1) * t;
+      this.line(
+        cx - nx / pixels.x,
+        cy - (ny * ySign) / pixels.y,
+        cx + nx / pixels.x,
+        cy + (ny * ySign) / pixels.y
+      );
+    }
+    this.pop();
+  }
+  return line;
+};
+
+/**
+ * Draws a circle with the current fill and stroke. Given two points, the
+ * circle is centered on the first and passes through the second. Given
+ * three, it passes through all of them.
+ *
+ * @param {Number} x1 the x-coordinate of the first point
+ * @param {Number} y1 the y-coordinate of the first point
+ * @param {Number} x2 the x-coordinate of the second point
+ * @param {Number} y2 the y-coordinate of the second point
+ * @param {Number} x3 the x-coordinate of the third point (Optional)
+ * @param {Number} y3 the y-coordinate of the third point (Optional)
+ * @returns {Object} the circle's center x and y and its radius r, or
+ *                   null if three points are on one line
+ */
+p5.prototype.drawCircleThrough = function (x1, y1, x2, y2, x3, y3) {
+  let circle;
+  if (x3 === undefined) {
+    circle = { x: x1, y: y1, r: Math.hypot(x2 - x1, y2 - y1) };
+  } else {
+    // the circumcircle, centered where the perpendicular bisectors meet
+    const d = 2 * (x1 * (y2 - y3) + x2 * (y3 - y1) + x3 * (y1 - y2));
+    if (Math.abs(d) < 1e-12) return null;
+    const s1 = x1 * x1 + y1 * y1;
+    const s2 = x2 * x2 + y2 * y2;
+    const s3 = x3 * x3 + y3 * y3;
+    const x = (s1 * (y2 - y3) + s2 * (y3 - y1) + s3 * (y1 - y2)) / d;
+    const y = (s1 * (x3 - x2) + s2 * (x1 - x3) + s3 * (x2 - x1)) / d;
+    circle = { x, y, r: Math.hypot(x1 - x, y1 - y) };
+  }
+  this.ellipse(circle.x, circle.y, 2 * circle.r, 2 * circle.r);
+  return circle;
+};
+
+/**
+ * Finds where the line through (x1, y1) and (x2, y2) meets the line
+ * through (x3, y3) and (x4, y4).
+ *
+ * @returns {Object} the x and y-coordinates of the intersection, or null
+ *                   if the lines are parallel
+ */
+p5.prototype.intersectLines = function (x1, y1, x2, y2, x3, y3, x4, y4) {
+  const d = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
+  if (Math.abs(d) < 1e-12) return null;
+  const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / d;
+  return { x: x1 + t * (x2 - x1), y: y1 + t * (y2 - y1) };
+};
+
+/**
+ * Finds where the line through (x1, y1) and (x2, y2) meets the circle
+ * centered on (cx, cy) with radius r.
+ *
+ * @returns {Object[]} the x and y-coordinates of up to two intersections
+ */
+p5.prototype.intersectLineCircle = function (x1, y1, x2, y2, cx, cy, r) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const fx = x1 - cx;
+  const fy = y1 - cy;
+  const a = dx * dx + dy * dy;
+  const b = 2 * (fx * dx + fy * dy);
+  const c = fx * fx + fy * fy - r * r;
+  if (a === 0) return [];
+  let discriminant = b * b - 4 * a * c;
+  // Treat lines that only just miss because of rounding as tangents.
+  if (Math.abs(discriminant) < 1e-12 * (b * b + Math.abs(4 * a * c))) {
+    discriminant = 0;
+  }
+  if (discriminant < 0) return [];
+  const root = Math.sqrt(discriminant);
+  const ts =
+    root === 0
+      ? [-b / (2 * a)]
+      : [-1, 1].map((sign) => (-b + sign * root) / (2 * a));
+  return ts.map((t) => ({ x: x1 + t * dx, y: y1 + t * dy }));
+};
+
+/**
+ * Finds where the circle centered on (x1, y1) with radius r1 meets the
+ * circle centered on (x2, y2) with radius r2.
+ *
+ * @returns {Object[]} the x and y-coordinates of up to two intersections
+ */
+p5.prototype.intersectCircles = function (x1, y1, r1, x2, y2, r2) {
+  const d = Math.hypot(x2 - x1, y2 - y1);
+  if (d === 0 || d > r1 + r2 || d < Math.abs(r1 - r2)) return [];
+  // the distance from the first center to the chord between the points
+  const a = (r1 * r1 - r2 * r2 + d * d) / (2 * d);
+  const h = Math.sqrt(Math.max(0, r1 * r1 - a * a));
+  const mx = x1 + (a * (x2 - x1)) / d;
+  const my = y1 + (a * (y2 - y1)) / d;
+  const ox = (h * (y2 - y1)) / d;
+  const oy = (h * (x2 - x1)) / d;
+  if (h === 0) return [{ x: mx, y: my }];
+  return [
+    { x: mx + ox, y: my - oy },
+    { x: mx - ox, y: my + oy },
+  ];
+};
+
+// The center and radius of the unit circle being dragged, if any.
+p5.prototype._unitCircleDrag = null;
+
+/**
+ * Draws a unit circle with a point at the given angle, the radius to the
+ * point and the segments showing the angle's sine, cosine and tangent,
+ * with their values listed above the circle. Special angles are marked
+ * around the circle in the current angleMode().
+ *
+ * Users can drag the point around the circle. The angle shown is
+ * returned, so angle = unitCircle(angle) keeps where it is dragged to,
+ * while unitCircle(wave(0, 360, 1)) follows wave() until it is grabbed.
+ *
+ * Options:
+ *
+ *   x, y                 the circle's center, on the left of the canvas
+ *                        with a graph and in the middle without
+ *   radius               the circle's radius in pixels
+ *   graph                unrolls "sin", "cos" or "both" to the right
+ *   showTan              whether to draw the tangent segment
+ *   showSpecialAngles    whether to mark the multiples of 30° and 45°
+ *   showLabels           whether to label the segments and angles
+ *   draggable            whether users can drag the point
+ *   snap                 whether dragging snaps to nearby special angles
+ *   decimals             the decimal places of the values
+ *   color, sinColor, cosColor, tanColor, labelSize
+ *
+ * @param {Number} angle   the angle in the current angleMode()
+ * @param {Object} options the unit circle's options (Optional)
+ * @returns {Number} the angle shown in the current angleMode()
+ */
+p5.prototype.unitCircle = function (angle, options = {}) {
+  if (typeof angle !== "number" || !Number.isFinite(angle)) {
+    throw new p5Error(
+      `unitCircle() was expecting a number for the angle, received ${angle} instead`
+    );
+  }
+  const isDegrees = this._angleMode === this.DEGREES;
+  const graph = options.graph ?? false;
+  const bounds = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  const r =
+    options.radius ??
+    Math.min(120, 0.3 * (bounds.yMax - bounds.yMin) * pixels.y);
+  const cx =
+    options.x ??
+    (graph
+      ? bounds.xMin + (1.2 * r + 40) / pixels.x
+      : (bounds.xMin + bounds.xMax) / 2);
+  const cy = options.y ?? (bounds.yMin + bounds.yMax) / 2;
+  const ySign = this._isYUp() ? 1 : -1;
+  // Measure from the center in pixels, with y pointing up on the canvas.
+  const at = (u, v) => [cx + u / pixels.x, cy + (v * ySign) / pixels.y];
+  const round = (value) => parseFloat(value.toFixed(options.decimals ?? 2));
+  const size = options.labelSize ?? 14;
+  const showLabels = (options.showLabels ?? true) && this._canDrawText();
+  const clr = this.color(options.color ?? "white");
+  const sinColor = this.color(options.sinColor ?? this._palette[0]);
+  const cosColor = this.color(options.cosColor ?? this._palette[1]);
+  const tanColor = this.color(options.tanColor ?? this._palette[2]);
+  const special = [];
+  for (let deg = 0; deg < 360; deg += 15) {
+    if (deg % 30 === 0 || deg % 45 === 0) special.push((deg * Math.PI) / 180);
+  }
+
+  // Dragging the point overrides the angle until the mouse is released.
+  // Angles are drawn from 0 to 2π, so that 420° looks like 60°.
+  let theta = isDegrees ? (angle * Math.PI) / 180 : angle;
+  theta = ((theta % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+  const m = this.mouse();
+  const mu = (m.x - cx) * pixels.x;
+  const mv = (m.y - cy) * pixels.y * ySign;
+  const hovering =
+    (options.draggable ?? true) &&
+    Math.hypot(mu - r * Math.cos(theta), mv - r * Math.sin(theta)) < 12;
+  // Each circle is named by its center and radius, so that only the one
+  // grabbed follows the mouse.
+  const key = `${cx},${cy},${r}`;
+  if (!this.mouseIsPressed && this._unitCircleDrag === key) {
+    this._unitCircleDrag = null;
+    this._anyMoving = false;
+  }
+  if (hovering && this.mouseIsPressed && !this._anyMoving) {
+    this._unitCircleDrag = key;
+    this._anyMoving = true;
+  }
+  const dragging = this._unitCircleDrag === key;
+  if (dragging) {
+    theta = Math.atan2(mv, mu);
+    if (theta < 0) theta += 2 * Math.PI;
+    if (options.snap ?? true) {
+      const near = [...special, 2 * Math.PI].find(
+        (s) => Math.abs(s - theta) < (4 * Math.PI) / 180
+      );
+      if (near !== undefined) theta = near % (2 * Math.PI);
+    }
+  }
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+  const tan = sin / cos;
+  const [ox, oy] = at(0, 0);
+  const [px, py] = at(r * cos, r * sin);
+  const [fx, fy] = at(r * cos, 0);
+
+  this.push();
+  this.noFill();
+  this.stroke(clr);
+  this._pixelStrokeWeight(1);
+  this.line(...at(-1.2 * r, 0), ...at(1.2 * r, 0));
+  this.line(...at(0, -1.2 * r), ...at(0, 1.2 * r));
+  this._pixelStrokeWeight(2);
+  this.ellipse(ox, oy, (2 * r) / pixels.x, (2 * r) / pixels.y);
+  if (options.showSpecialAngles ?? true) {
+    this.noStroke();
+    this.fill(clr);
+    this.textSize(size - 3);
+    this.textAlign(this.CENTER, this.CENTER);
+    for (const s of special) {
+      this.ellipse(
+        ...at(r * Math.cos(s), r * Math.sin(s)),
+        5 / pixels.x,
+        5 / pixels.y
+      );
+      if (!showLabels) continue;
+      const label = formatAngle(s, isDegrees, 0);
+      // Just outside the circle, clear of the label's own width.
+      const distance =
+        r +
+        6 +
+        (Math.abs(Math.cos(s)) * this._labelWidth(label, size - 3)) / 2 +
+        (Math.abs(Math.sin(s)) * (size - 3)) / 2;
+      this.text(label, ...at(distance * Math.cos(s), distance * Math.sin(s)));
+    }
+  }
+
+  // The tangent runs up the line x = 1 to meet the radius extended, and
+  // is left out when it is too long to fit.
+  if ((options.showTan ?? true) && Math.abs(tan) < 2.5) {
+    const [tx, ty] = at(r, r * tan);
+    this.drawSegment(ox, oy, tx, ty, {
+      color: tanColor,
+      thickness: 1,
+      dash: [4, 4],
+      showLength: false,
+    });
+    this.drawSegment(...at(r, 0), tx, ty, {
+      color: tanColor,
+      thickness: 3,
+      showLength: false,
+    });
+    if (showLabels && r * Math.abs(tan) > 2 * size) {
+      const [ax, ay] = at(r, 0);
+      this._vectorLabel("tan θ", ax, ay, tx - ax, ty - ay, {
+        color: tanColor,
+        labelSize: size,
+        labelSide: this._labelSideAwayFrom(ax, ay, tx - ax, ty - ay, {
+          x: ox,
+          y: oy,
+        }),
+      });
+    }
+  }
+
+  this.drawSegment(ox, oy, px, py, {
+    color: clr,
+    thickness: 2,
+    showLength: false,
+  });
+  this.drawSegment(ox, oy, fx, fy, {
+    color: cosColor,
+    thickness: 4,
+    showLength: false,
+  });
+  this.drawSegment(fx, fy, px, py, {
+    color: sinColor,
+    thickness: 4,
+    showLength: false,
+  });
+  this.drawAngle(...at(r, 0), ox, oy, px, py, {
+    color: clr,
+    radius: 24,
+    rightAngle: false,
+    reflex: theta > Math.PI,
+    showLabel: showLabels,
+    // The circle is round on the canvas even when the units are not.
+    label: formatAngle(theta, isDegrees, isDegrees ? 0 : 2),
+    labelSize: size,
+  });
+  // Segments too short to label still have their values listed.
+  if (showLabels) {
+    if (r * Math.abs(cos) > 2 * size) {
+      this._vectorLabel("cos θ", ox, oy, fx - ox, fy - oy, {
+        color: cosColor,
+        labelSize: size,
+        labelSide: this._labelSideAwayFrom(ox, oy, fx - ox, fy - oy, {
+          x: px,
+          y: py,
+        }),
+      });
+    }
+    if (r * Math.abs(sin) > 2 * size) {
+      // Away from the center, unless that crowds the tangent.
+      const [ax, ay] = cos > 0.7 ? at(2 * r, 0) : [ox, oy];
+      this._vectorLabel("sin θ", fx, fy, px - fx, py - fy, {
+        color: sinColor,
+        labelSize: size,
+        labelSide: this._labelSideAwayFrom(fx, fy, px - fx, py - fy, {
+          x: ax,
+          y: ay,
+        }),
+      });
+    }
+  }
+  this.drawPoint(px, py, {
+    color: clr,
+    size: 12,
+    highlight: hovering || dragging,
+  });
+  if (showLabels) {
+    // The values, stacked above the top left of the circle.
+    const values = [
+      [`sin θ = ${round(sin)}`, sinColor],
+      [`cos θ = ${round(cos)}`, cosColor],
+    ];
+    if (options.showTan ?? true) {
+      values.push([
+        Math.abs(cos) < 1e-9 ? "tan θ is undefined" : `tan θ = ${round(tan)}`,
+        tanColor,
+      ]);
+    }
+    this.noStroke();
+    this.textSize(size);
+    this.textAlign(this.LEFT, this.CENTER);
+    values.forEach(([label, labelColor], i) => {
+      this.fill(labelColor);
+      this.text(
+        label,
+        ...at(-1.2 * r, 1.2 * r + (values.length - 1 - i) * (size + 4))
+      );
+    });
+  }
+
+  // One full turn of each function unrolled to the right, at the height
+  // of the circle so the point lines up with the sine curve.
+  if (graph) {
+    const left = 1.2 * r + 30;
+    const width = Math.max(r, (bounds.xMax - cx) * pixels.x - left - 30);
+    const gx = (t) => left + (t / (2 * Math.PI)) * width;
+    const curves = [];
+    if (graph !== "cos") curves.push([Math.sin, sinColor]);
+    if (graph !== "sin") curves.push([Math.cos, cosColor]);
+    this.stroke(clr);
+    this._pixelStrokeWeight(1);
+    this.line(...at(left, 0), ...at(left + width + 10, 0));
+    this.line(...at(left, -1.1 * r), ...at(left, 1.1 * r));
+    for (let k = 1; k <= 4; k++) {
+      this.line(
+        ...at(gx((k * Math.PI) / 2), -4),
+        ...at(gx((k * Math.PI) / 2), 4)
+      );
+    }
+    this.noFill();
+    this._pixelStrokeWeight(2);
+    for (const [f, curveColor] of curves) {
+      this.stroke(curveColor);
+      this.beginShape();
+      for (let i = 0; i <= 120; i++) {
+        const t = (i / 120) * 2 * Math.PI;
+        this.vertex(...at(gx(t), r * f(t)));
+      }
+      this.endShape();
+    }
+    this.stroke(clr);
+    this._pixelStrokeWeight(1);
+    this._pixelLineDash([4, 4]);
+    this.line(...at(gx(theta), -r), ...at(gx(theta), r));
+    if (graph !== "cos") this.line(px, py, ...at(gx(theta), r * sin));
+    this._pixelLineDash([]);
+    for (const [f, curveColor] of curves) {
+      this.drawPoint(...at(gx(theta), r * f(theta)), {
+        color: curveColor,
+        size: 10,
+      });
+    }
+    if (showLabels) {
+      this.noStroke();
+      this.fill(clr);
+      this.textSize(size - 3);
+      this.textAlign(this.CENTER, this.TOP);
+      for (let k = 1; k <= 4; k++) {
+        const t = (k * Math.PI) / 2;
+        this.text(formatAngle(t, isDegrees, 0), ...at(gx(t), -8));
+      }
+    }
+  }
+  this.pop();
+
+  if (!dragging) return angle;
+  return isDegrees ? (theta * 180) / Math.PI : theta;
+};
+
+// ====================================
+// Plotting
+// ====================================
+
+/**
+ * Sets the stroke weight in pixels regardless of any scaling applied
+ * to the current drawing space.
+ *
+ * @param {Number} weight the stroke weight in pixels
+ */
+p5.prototype._pixelStrokeWeight = function (weight) {
+  if (this._renderer?.isP3D) {
+    this.strokeWeight(weight);
+    return;
+  }
+  const local = this._localPixelsPerUnit();
+  this._strokeWeight(weight / Math.sqrt(local.x * local.y));
+};
+
+/**
+ * Sets a dash pattern in pixels regardless of any scaling applied to the
+ * current drawing space. WEBGL cannot draw dashed lines, so the pattern
+ * is ignored there.
+ *
+ * @param {Number[]} dash the lengths of the dashes and gaps in pixels
+ */
+p5.prototype._pixelLineDash = function (dash) {
+  if (this._renderer?.isP3D || !dash) return;
+  const local = this._localPixelsPerUnit();
+  const scale = Math.sqrt(local.x * local.y);
+  this.drawingContext.setLineDash(Array.from(dash, (d) => d / scale));
+};
+
+/**
+ * Returns the current fill color, or null after noFill().
+ *
+ * @returns {p5.Color} the fill color
+ */
+p5.prototype._currentFill = function () {
+  if (!this._renderer._doFill) return null;
+  if (this._renderer.isP3D) {
+    const [r, g, b, a] = this._renderer.curFillColor.map((c) => c * 255);
+    return this.color(r, g, b, a);
+  }
+  return this.color(this.drawingContext.fillStyle);
+};
+
+/**
+ * Graphs the function y = fn(x) between xMin and xMax in the current
+ * drawing space, mapping x and y through the scales set by axisScale().
+ * The function is sampled more closely where it curves, and the line is
+ * broken at asymptotes and wherever fn returns NaN or Infinity.
+ *
+ * @param {Function} fn      the function to graph
+ * @param {Number} xMin      the smallest x value (Optional)
+ * @param {Number} xMax      the largest x value (Optional)
+ * @param {Object} options   the color, thickness, dash, shade and
+ *                           shadeColor to draw with (Optional)
+ */
+p5.prototype.plot = function (fn, xMin, xMax, options = {}) {
+  if (typeof fn !== "function") {
+    throw new p5Error("plot() expects a function as its first argument.");
+  }
+  if (xMin !== null && typeof xMin === "object") {
+    options = xMin;
+    xMin = undefined;
+  }
+  const o = this._plotOptions(options);
+  const clip = this._plotClip();
+  const pixels = this._localPixelsPerUnit();
+  const scales = this._axisScales();
+  // Sample evenly spaced coordinates, which are not evenly spaced values
+  // on a logarithmic axis.
+  const fy = (x) => scales.y.forward(fn(scales.x.inverse(x)));
+  const runs = (lo, hi) => {
+    lo = Math.max(
+      lo === undefined ? clip.xMin : scales.x.forward(lo),
+      clip.xMin
+    );
+    hi = Math.min(
+      hi === undefined ? clip.xMax : scales.x.forward(hi),
+      clip.xMax
+    );
+    if (!(lo < hi)) return [];
+    const n = Math.min(Math.ceil(((hi - lo) * pixels.x) / 4), 2000);
+    const points = sampleCurve((x) => x, fy, lo, hi, n, pixels, this.height);
+    return clipRuns(points, clip);
+  };
+
+  if (options.shade) {
+    const shadeColor = this.color(options.shadeColor ?? o.color);
+    if (options.shadeColor === undefined) shadeColor.setAlpha(80);
+    // Shade down to the x-axis, or to the bottom on a logarithmic axis.
+    const zero = scales.y.type === "linear" ? 0 : -Infinity;
+    const base = Math.min(Math.max(zero, clip.yMin), clip.yMax);
+    const [from, to] = options.shade;
+    this.push();
+    this.noStroke();
+    this.fill(shadeColor);
+    for (const run of runs(Math.min(from, to), Math.max(from, to))) {
+      this.beginShape();
+      this.vertex(run[0].x, base);
+      for (const p of run) this.vertex(p.x, p.y);
+      this.vertex(run[run.length - 1].x, base);
+      this.endShape(this.CLOSE);
+    }
+    this.pop();
+  }
+  this._drawPlotRuns(runs(xMin, xMax), o);
+};
+
+/**
+ * Graphs the parametric curve (fx(t), fy(t)) for t between tMin and tMax
+ * in the current drawing space. Setting the trace option animates the
+ * curve being drawn, with a point moving along it.
+ *
+ * @param {Function} fx      the curve's x-coordinate as a function of t
+ * @param {Function} fy      the curve's y-coordinate as a function of t
+ * @param {Number} tMin      the smallest t value (Optional)
+ * @param {Number} tMax      the largest t value (Optional)
+ * @param {Object} options   the color, thickness, dash, trace, progress,
+ *                           pointColor and pointSize to draw with (Optional)
+ * @returns {Object} containing the x and y-coordinates at the end of the curve
+ */
+p5.prototype.plotParametric = function (fx, fy, tMin, tMax, options = {}) {
+  if (typeof fx !== "function" || typeof fy !== "function") {
+    throw new p5Error(
+      "plotParametric() expects functions as its first two arguments."
+    );
+  }
+  if (tMin !== null && typeof tMin === "object") {
+    options = tMin;
+    tMin = undefined;
+  }
+  const o = this._plotOptions(options);
+  tMin = tMin ?? 0;
+  tMax = tMax ?? this._fullTurn();
+
+  // How much of the curve to draw, from 0 to 1.
+  let progress = options.progress ?? 1;
+  if (options.trace) {
+    progress = ((this.millis() / 1000) % options.trace) / options.trace;
+  }
+  const tEnd = tMin + (tMax - tMin) * Math.min(Math.max(progress, 0), 1);
+
+  const pixels = this._localPixelsPerUnit();
+  const maxJump = Math.max(this.width, this.height);
+  const scales = this._axisScales();
+  const x = (t) => scales.x.forward(fx(t));
+  const y = (t) => scales.y.forward(fy(t));
+  const points = sampleCurve(x, y, tMin, tEnd, 400, pixels, maxJump);
+  this._drawPlotRuns(clipRuns(points, this._plotClip()), o);
+
+  const end = { x: fx(tEnd), y: fy(tEnd) };
+  if (options.trace || options.progress !== undefined) {
+    const size = options.pointSize ?? 10;
+    this.push();
+    this.noStroke();
+    this.fill(this.color(options.pointColor ?? o.color));
+    this.ellipse(x(tEnd), y(tEnd), size / pixels.x, size / pixels.y);
+    this.pop();
+  }
+  return end;
+};
+
+/**
+ * Graphs the polar curve r = r(theta) for theta between thetaMin and
+ * thetaMax in the current drawing space. Angles follow the current
+ * angleMode().
+ *
+ * @param {Function} r        the radius as a function of theta
+ * @param {Number} thetaMin   the smallest angle (Optional)
+ * @param {Number} thetaMax   the largest angle (Optional)
+ * @param {Object} options    the same options as plotParametric() (Optional)
+ * @returns {Object} containing the x and y-coordinates at the end of the curve
+ */
+p5.prototype.plotPolar = function (r, thetaMin, thetaMax, options = {}) {
+  if (typeof r !== "function") {
+    throw new p5Error("plotPolar() expects a function as its first argument.");
+  }
+  return this.plotParametric(
+    (theta) => r(theta) * this.cos(theta),
+    (theta) => r(theta) * this.sin(theta),
+    thetaMin,
+    thetaMax,
+    options
+  );
+};
+
+/**
+ * Graphs the curve where f(x, y) = 0, such as x² + y² - 25, over the
+ * visible part of the current drawing space.
+ *
+ * @param {Function} f       a function of x and y
+ * @param {Object} options   the color, thickness, dash and resolution
+ *                           to draw with (Optional)
+ */
+p5.prototype.plotImplicit = function (f, options = {}) {
+  if (typeof f !== "function") {
+    throw new p5Error(
+      "plotImplicit() expects a function as its first argument."
+    );
+  }
+  const o = this._plotOptions(options);
+  const grid = this._sampleGrid(f, options.resolution ?? 5);
+  this._drawPlotRuns(marchingSquares(grid, 0), o);
+};
+
+/**
+ * Draws the level curves f(x, y) = level of a function over the visible
+ * part of the current drawing space, optionally labeling them and filling
+ * the bands between them.
+ *
+ * @param {Function} f         a function of x and y
+ * @param {Number[]} levels    the levels to draw, or how many (Optional)
+ * @param {Object} options     the color, thickness, dash, resolution,
+ *                             labels, labelColor, labelSize, fill and
+ *                             fillColors to draw with (Optional)
+ * @returns {Number[]} the levels drawn
+ */
+p5.prototype.contour = function (f, levels = 10, options = {}) {
+  if (typeof f !== "function") {
+    throw new p5Error("contour() expects a function as its first argument.");
+  }
+  if (levels !== null && typeof levels === "object" && !Array.isArray(levels)) {
+    options = levels;
+    levels = 10;
+  }
+  const grid = this._sampleGrid(f, options.resolution ?? 5);
+  if (typeof levels === "number") {
+    // Pick round numbers spread across the values on screen.
+    // A loop, since a fine grid has too many values to spread into
+    // Math.min().
+    let lo = Infinity;
+    let hi = -Infinity;
+    for (const row of grid.values) {
+      for (const v of row) {
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+    }
+    levels =
+      hi > lo
+        ? tickValues(lo, hi, niceNumber((hi - lo) / levels)).map((t) => t.value)
+        : [];
+  }
+  levels = [...levels].sort((a, b) => a - b);
+
+  if (options.fill) {
+    const [from, to] = (options.fillColors ?? ["navy", "gold"]).map((c) =>
+      this.color(c)
+    );
+    const bands = levels.map((_, k) =>
+      this.lerpColor(from, to, (k + 1) / levels.length)
+    );
+    bands.unshift(from);
+    const pixels = this._localPixelsPerUnit();
+    const { x0, y0, dx, dy, nx, ny, values } = grid;
+    this.push();
+    this.noStroke();
+    for (let i = 0; i < nx; i++) {
+      for (let j = 0; j < ny; j++) {
+        const v =
+          (values[i][j] +
+            values[i + 1][j] +
+            values[i][j + 1] +
+            values[i + 1][j + 1]) /
+          4;
+        if (isNaN(v)) continue;
+        this.fill(bands[levels.filter((level) => level <= v).length]);
+        // Overlap neighbouring cells slightly to hide seams between them.
+        this.rect(
+          x0 + i * dx,
+          y0 + j * dy,
+          dx + 0.5 / pixels.x,
+          dy + 0.5 / pixels.y
+        );
+      }
+    }
+    this.pop();
+  }
+
+  const colors = Array.isArray(options.color) ? options.color : null;
+  levels.forEach((level, k) => {
+    const o = this._plotOptions({
+      ...options,
+      color: colors ? colors[k % colors.length] : options.color,
+      thickness: options.thickness ?? 2,
+    });
+    const runs = marchingSquares(grid, level);
+    this._drawPlotRuns(runs, o);
+
+    if (options.labels && runs.length > 0 && this._canDrawText()) {
+      // Label the middle of the longest piece of the curve.
+      const run = runs.reduce((a, b) => (b.length > a.length ? b : a));
+      const p = run[Math.floor(run.length / 2)];
+      this.push();
+      this.noStroke();
+      this.fill(this.color(options.labelColor ?? "white"));
+      this.textSize(options.labelSize ?? 12);
+      this.textAlign(this.CENTER, this.CENTER);
+      this.text(formatNumber(level), p.x, p.y);
+      this.pop();
+    }
+  });
+  return levels;
+};
+
+/**
+ * Draws a grid of short segments showing the slope dy/dx = dydx(x, y) of
+ * a differential equation over the visible part of the current drawing
+ * space. Passing a MovableCircle as the trace option also draws the
+ * solution curve through the circle.
+ *
+ * @param {Function} dydx    the slope as a function of x and y
+ * @param {Object} options   the options described in the README (Optional)
+ */
+p5.prototype.slopeField = function (dydx, options = {}) {
+  if (typeof dydx !== "function") {
+    throw new p5Error("slopeField() expects a function as its first argument.");
+  }
+  // A slope field is the vector field (1, dy/dx) with x as the parameter.
+  this._drawField((x, y) => [1, dydx(x, y)], {
+    color: "white",
+    scaleByMagnitude: false,
+    arrowheads: false,
+    // Step about two pixels along x when tracing a solution.
+    stepSize: 2 / this._localPixelsPerUnit().x,
+    ...options,
+  });
+};
+
+/**
+ * Draws a grid of arrows showing the vector (fx(x, y), fy(x, y)) over the
+ * visible part of the current drawing space. Passing a MovableCircle as
+ * the trace option also draws the path that follows the field through
+ * the circle.
+ *
+ * @param {Function} fx      the vector's x-component as a function of x and y
+ * @param {Function} fy      the vector's y-component as a function of x and y
+ * @param {Object} options   the options described in the README (Optional)
+ */
+p5.prototype.vectorField = function (fx, fy, options = {}) {
+  if (typeof fx !== "function" || typeof fy !== "function") {
+    throw new p5Error(
+      "vectorField() expects functions as its first two arguments."
+    );
+  }
+  this._drawField((x, y) => [fx(x, y), fy(x, y)], {
+    color: ["deepskyblue", "hotpink"],
+    scaleByMagnitude: true,
+    arrowheads: true,
+    ...options,
+  });
+};
+
+/**
+ * Draws the arrows of a slope or vector field at multiples of the
+ * drawTickAxes() spacing, then any solution curve being traced.
+ *
+ * @param {Function} field  returns the vector at x and y as [vx, vy]
+ * @param {Object} options  the field's options
+ */
+p5.prototype._drawField = function (field, options) {
+  const axes = this._tickAxesOptions({
+    spacing: options.spacing,
+    xSpacing: options.xSpacing,
+    ySpacing: options.ySpacing,
+  });
+  const density = options.density ?? 2;
+  const xStep = axes.xStep / density;
+  const yStep = axes.yStep / density;
+  const { xMin, xMax, yMin, yMax } = axes.bounds;
+  const pixels = this._localPixelsPerUnit();
+
+  const arrows = [];
+  for (const { value: x } of tickValues(xMin, xMax, xStep)) {
+    for (const { value: y } of tickValues(yMin, yMax, yStep)) {
+      const [vx, vy] = field(x, y);
+      const magnitude = Math.hypot(vx, vy);
+      if (Number.isFinite(magnitude)) arrows.push({ x, y, vx, vy, magnitude });
+    }
+  }
+  const maxMagnitude = Math.max(0, ...arrows.map((a) => a.magnitude));
+
+  // Arrows fill most of their cell, measured in pixels.
+  const cell = Math.min(xStep * pixels.x, yStep * pixels.y);
+  const maxLength = 0.8 * cell;
+  const headSize = options.headSize ?? Math.min(8, cell / 3);
+  const palette = [].concat(options.color).map((c) => this.color(c));
+  const colorAt = (t) => {
+    if (palette.length === 1) return palette[0];
+    const scaled = t * (palette.length - 1);
+    const k = Math.min(Math.floor(scaled), palette.length - 2);
+    return this.lerpColor(palette[k], palette[k + 1], scaled - k);
+  };
+
+  this.push();
+  this._pixelStrokeWeight(options.thickness ?? 2);
+  for (const a of arrows) {
+    if (a.magnitude === 0) continue;
+    const t = maxMagnitude > 0 ? a.magnitude / maxMagnitude : 0;
+    const length = options.scaleByMagnitude ? maxLength * t : maxLength;
+    // The arrow's direction and length in pixels, converted back to units.
+    const k = length / Math.hypot(a.vx * pixels.x, a.vy * pixels.y);
+    const dx = a.vx * k;
+    const dy = a.vy * k;
+    const clr = colorAt(t);
+    this.stroke(clr);
+    this.line(a.x - dx / 2, a.y - dy / 2, a.x + dx / 2, a.y + dy / 2);
+    if (options.arrowheads && length > headSize) {
+      this._arrowhead(a.x + dx / 2, a.y + dy / 2, dx, dy, headSize, clr);
+    }
+  }
+  this.pop();
+
+  if (options.trace) {
+    const start = { x: options.trace.x, y: options.trace.y };
+    // By default, each step moves at most about two pixels.
+    const step =
+      options.stepSize ?? 2 / pixels.x / Math.max(maxMagnitude, 1e-9);
+    const method = options.method ?? "rk4";
+    const clip = this._plotClip();
+    const forward = solveField(field, start, step, method, clip);
+    const backward = solveField(field, start, -step, method, clip);
+    const points = [...backward.reverse(), start, ...forward];
+    this._drawPlotRuns(clipRuns(points, clip), {
+      color: options.traceColor ?? "orange",
+      thickness: options.traceThickness ?? 3,
+      dash: options.traceDash ?? false,
+    });
+    if (options.trace instanceof MovableCircle) options.trace.draw();
+  }
+};
+
+/**
+ * Draws a filled arrowhead whose size is in pixels.
+ *
+ * @param {Number} x      the x-coordinate of the tip
+ * @param {Number} y      the y-coordinate of the tip
+ * @param {Number} dx     the x-component of the arrow's direction
+ * @param {Number} dy     the y-component of the arrow's direction
+ * @param {Number} size   the length of the arrowhead in pixels
+ * @param {p5.Color} clr  the color of the arrowhead
+ */
+p5.prototype._arrowhead = function (x, y, dx, dy, size, clr) {
+  const pixels = this._localPixelsPerUnit();
+  // Work in pixels so that the arrowhead keeps its shape when x and y
+  // are scaled differently.
+  const length = Math.hypot(dx * pixels.x, dy * pixels.y);
+  const ux = (dx * pixels.x) / length;
+  const uy = (dy * pixels.y) / length;
+  const back = (along, across) => [
+    x + (-ux * along - uy * across) / pixels.x,
+    y + (-uy * along + ux * across) / pixels.y,
+  ];
+  this.push();
+  this.noStroke();
+  this.fill(clr);
+  this.triangle(x, y, ...back(size, size / 2), ...back(size, -size / 2));
+  this.pop();
+};
+
+/**
+ * Returns one full turn in the current angleMode().
+ *
+ * @returns {Number} 360 in DEGREES or 2π in RADIANS
+ */
+p5.prototype._fullTurn = function () {
+  return this._angleMode === this.DEGREES ? 360 : this.TWO_PI;
+};
+
+/**
+ * Fills in the options shared by the plotting functions.
+ *
+ * @param {Object} options the options passed to the plotting function
+ * @returns {Object} the options with defaults filled in
+ */
+p5.prototype._plotOptions = function (options) {
+  return {
+    color: options.color ?? this._palette[0],
+    thickness: options.thickness ?? 3,
+    dash: options.dash ?? false,
+  };
+};
+
+/**
+ * Returns the visible part of the current drawing space, grown by a few
+ * pixels so that the ends of clipped lines stay hidden.
+ *
+ * @returns {Object} containing xMin, xMax, yMin and yMax
+ */
+p5.prototype._plotClip = function () {
+  const bounds = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  return {
+    xMin: bounds.xMin - 10 / pixels.x,
+    xMax: bounds.xMax + 10 / pixels.x,
+    yMin: bounds.yMin - 10 / pixels.y,
+    yMax: bounds.yMax + 10 / pixels.y,
+  };
+};
+
+/**
+ * Draws each run of points as a separate line.
+ *
+ * @param {Object[][]} runs the runs of points to draw
+ * @param {Object} o        the plot options
+ */
+p5.prototype._drawPlotRuns = function (runs, o) {
+  this.push();
+  this.noFill();
+  this.stroke(this.color(o.color));
+  this._pixelStrokeWeight(o.thickness);
+  this._pixelLineDash(o.dash);
+  for (const run of runs) {
+    this.beginShape();
+    for (const p of run) this.vertex(p.x, p.y);
+    this.endShape();
+  }
+  this.pop();
+};
+
+/**
+ * Samples the curve (fx(t), fy(t)) between tMin and tMax, adding samples
+ * until the line between neighbouring points is within half a pixel of
+ * the curve. Points with NaN coordinates mark where the line should break.
+ *
+ * @param {Function} fx     the x-coordinate as a function of t
+ * @param {Function} fy     the y-coordinate as a function of t
+ * @param {Number} tMin     the smallest t value
+ * @param {Number} tMax     the largest t value
+ * @param {Number} n        the number of evenly spaced samples to start with
+ * @param {Object} pixels   the number of pixels per unit along x and y
+ * @param {Number} maxJump  the jump in pixels treated as an asymptote
+ * @returns {Object[]} the sampled points
+ */
+function sampleCurve(fx, fy, tMin, tMax, n, pixels, maxJump) {
+  const evaluate = (t) => {
+    const x = fx(t);
+    const y = fy(t);
+    if (Number.isFinite(x) && Number.isFinite(y)) return { t, x, y };
+    return { t, x: NaN, y: NaN };
+  };
+  const distance = (p, q) =>
+    Math.hypot((q.x - p.x) * pixels.x, (q.y - p.y) * pixels.y);
+  const maxDepth = 10;
+  // The number of extra samples each starting interval may add.
+  const maxSamples = 64;
+  let budget;
+  const points = [];
+  const refine = (p, q, depth) => {
+    const m = evaluate((p.t + q.t) / 2);
+    budget--;
+    const defined = [p, m, q].map((s) => !isNaN(s.x));
+    if (!defined.some(Boolean)) return;
+    const finite = defined.every(Boolean);
+    const chord = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    if (depth >= maxDepth || budget <= 0) {
+      // A large jump that the midpoint does not bridge is an asymptote.
+      const jump = distance(p, q) > maxJump;
+      const bridged =
+        (m.x - p.x) * (m.x - q.x) + (m.y - p.y) * (m.y - q.y) <= 0;
+      if (finite && jump && !bridged) points.push({ t: m.t, x: NaN, y: NaN });
+      return;
+    }
+    if (finite && distance(m, chord) < 0.5) return;
+    // Halves that are undefined at both ends are skipped, so only the
+    // place where the curve starts or stops is narrowed down.
+    if (defined[0] || defined[1]) refine(p, m, depth + 1);
+    points.push(m);
+    if (defined[1] || defined[2]) refine(m, q, depth + 1);
+  };
+
+  n = Math.max(n, 8);
+  let prev = evaluate(tMin);
+  points.push(prev);
+  for (let i = 1; i <= n; i++) {
+    const next = evaluate(tMin + ((tMax - tMin) * i) / n);
+    budget = maxSamples;
+    refine(prev, next, 0);
+    points.push(next);
+    prev = next;
+  }
+  return points;
+}
+
+/**
+ * Splits sampled points into unbroken runs and clips them to a rectangle.
+ *
+ * @param {Object[]} points the sampled points
+ * @param {Object} clip     containing xMin, xMax, yMin and yMax
+ * @returns {Object[][]} the runs of points to draw
+ */
+function clipRuns(points, clip) {
+  const runs = [];
+  let run = null;
+  for (let i = 1; i < points.length; i++) {
+    const p = points[i - 1];
+    const q = points[i];
+    const clipped = isNaN(p.x) || isNaN(q.x) ? null : clipSegment(p, q, clip);
+    if (!clipped) {
+      run = null;
+      continue;
+    }
+    const [a, b] = clipped;
+    if (!run || a !== p) {
+      run = [a];
+      runs.push(run);
+    }
+    run.push(b);
+    if (b !== q) run = null;
+  }
+  return runs;
+}
+
+/**
+ * Clips the segment from p to q to a rectangle.
+ *
+ * @param {Object} p    the start of the segment
+ * @param {Object} q    the end of the segment
+ * @param {Object} clip containing xMin, xMax, yMin and yMax
+ * @returns {Object[]} the clipped endpoints, or null if none of it is visible
+ */
+function clipSegment(p, q, clip) {
+  let t0 = 0;
+  let t1 = 1;
+  for (const axis of ["x", "y"]) {
+    const d = q[axis] - p[axis];
+    const lo = clip[`${axis}Min`];
+    const hi = clip[`${axis}Max`];
+    if (d === 0) {
+      if (p[axis] < lo || p[axis] > hi) return null;
+      continue;
+    }
+    const tLo = (lo - p[axis]) / d;
+    const tHi = (hi - p[axis]) / d;
+    t0 = Math.max(t0, Math.min(tLo, tHi));
+    t1 = Math.min(t1, Math.max(tLo, tHi));
+  }
+  if (t0 > t1) return null;
+  const at = (t) => ({ x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t });
+  return [t0 > 0 ? at(t0) : p, t1 < 1 ? at(t1) : q];
+}
+
+/**
+ * Evaluates f(x, y) on a grid covering the visible part of the current
+ * drawing space, passing f the values at each point on the axis scales.
+ *
+ * @param {Function} f          a function of x and y
+ * @param {Number} resolution   the size of each grid cell in pixels
+ * @returns {Object} the grid's origin, cell size, number of cells and values
+ */
+p5.prototype._sampleGrid = function (f, resolution) {
+  const bounds = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  const cells = (range, ppu) =>
+    Math.min(Math.max(Math.ceil((range * ppu) / resolution), 1), 1000);
+  const nx = cells(bounds.xMax - bounds.xMin, pixels.x);
+  const ny = cells(bounds.yMax - bounds.yMin, pixels.y);
+  const dx = (bounds.xMax - bounds.xMin) / nx;
+  const dy = (bounds.yMax - bounds.yMin) / ny;
+  const scales = this._axisScales();
+  const values = [];
+  for (let i = 0; i <= nx; i++) {
+    const column = [];
+    const x = scales.x.inverse(bounds.xMin + i * dx);
+    for (let j = 0; j <= ny; j++) {
+      const v = f(x, scales.y.inverse(bounds.yMin + j * dy));
+      column.push(Number.isFinite(v) ? v : NaN);
+    }
+    values.push(column);
+  }
+  return { x0: bounds.xMin, y0: bounds.yMin, dx, dy, nx, ny, values };
+};
+
+/**
+ * Traces the curves where a grid of values crosses a level using
+ * marching squares, joining the pieces from neighbouring cells into runs.
+ *
+ * @param {Object} grid   the grid from _sampleGrid()
+ * @param {Number} level  the level to trace
+ * @returns {Object[][]} the runs of points to draw
+ */
+function marchingSquares(grid, level) {
+  const { x0, y0, dx, dy, nx, ny, values } = grid;
+  // Each crossing is stored once under the name of the grid edge it is on.
+  const points = new Map();
+  const crossing = (key, i0, j0, i1, j1) => {
+    if (!points.has(key)) {
+      const a = values[i0][j0] - level;
+      const b = values[i1][j1] - level;
+      const t = a / (a - b);
+      points.set(key, {
+        x: x0 + (i0 + (i1 - i0) * t) * dx,
+        y: y0 + (j0 + (j1 - j0) * t) * dy,
+      });
+    }
+    return key;
+  };
+
+  const segments = [];
+  for (let i = 0; i < nx; i++) {
+    for (let j = 0; j < ny; j++) {
+      const corners = [
+        values[i][j],
+        values[i + 1][j],
+        values[i + 1][j + 1],
+        values[i][j + 1],
+      ];
+      if (corners.some(isNaN)) continue;
+      const [a, b, c, d] = corners.map((v) => v >= level);
+      const bottom = a !== b && crossing(`h${i},${j}`, i, j, i + 1, j);
+      const right =
+        b !== c && crossing(`v${i + 1},${j}`, i + 1, j, i + 1, j + 1);
+      const top = c !== d && crossing(`h${i},${j + 1}`, i, j + 1, i + 1, j + 1);
+      const left = d !== a && crossing(`v${i},${j}`, i, j, i, j + 1);
+      const crossed = [bottom, right, top, left].filter(Boolean);
+      if (crossed.length === 2) {
+        segments.push(crossed);
+      } else if (crossed.length === 4) {
+        // A saddle: the average of the corners decides which pairs join.
+        const center = corners.reduce((sum, v) => sum + v, 0) / 4;
+        if (center >= level === a) {
+          segments.push([bottom, right], [top, left]);
+        } else {
+          segments.push([left, bottom], [right, top]);
+        }
+      }
+    }
+  }
+
+  // Join segments that share a crossing into runs.
+  const byKey = new Map();
+  segments.forEach((segment, k) => {
+    for (const key of segment) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(k);
+    }
+  });
+  const used = new Array(segments.length).fill(false);
+  const extend = (keys) => {
+    for (;;) {
+      const last = keys[keys.length - 1];
+      const next = byKey.get(last).find((k) => !used[k]);
+      if (next === undefined) return;
+      used[next] = true;
+      const [p, q] = segments[next];
+      keys.push(p === last ? q : p);
+    }
+  };
+  const runs = [];
+  segments.forEach((segment, k) => {
+    if (used[k]) return;
+    used[k] = true;
+    const keys = [...segment];
+    extend(keys);
+    keys.reverse();
+    extend(keys);
+    runs.push(keys.map((key) => points.get(key)));
+  });
+  return runs;
+}
+
+/**
+ * Follows a field from a starting point using Euler's method or the
+ * fourth-order Runge-Kutta method (RK4) until the path leaves the clip
+ * rectangle.
+ *
+ * @param {Function} field  returns the derivative at x and y as [vx, vy]
+ * @param {Object} start    the starting point
+ * @param {Number} h        the step size, negative to go backwards
+ * @param {String} method   "euler" or "rk4"
+ * @param {Object} clip     containing xMin, xMax, yMin and yMax
+ * @returns {Object[]} the points along the path, not including start
+ */
+function solveField(field, start, h, method, clip) {
+  if (method !== "euler" && method !== "rk4") {
+    throw new p5Error(`The method must be "euler" or "rk4", not "${method}".`);
+  }
+  const points = [];
+  let { x, y } = start;
+  for (let i = 0; i < 5000; i++) {
+    let dx;
+    let dy;
+    if (method === "euler") {
+      [dx, dy] = field(x, y);
+    } else {
+      const [k1x, k1y] = field(x, y);
+      const [k2x, k2y] = field(x + (h * k1x) / 2, y + (h * k1y) / 2);
+      const [k3x, k3y] = field(x + (h * k2x) / 2, y + (h * k2y) / 2);
+      const [k4x, k4y] = field(x + h * k3x, y + h * k3y);
+      dx = (k1x + 2 * k2x + 2 * k3x + k4x) / 6;
+      dy = (k1y + 2 * k2y + 2 * k3y + k4y) / 6;
+    }
+    x += h * dx;
+    y += h * dy;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) break;
+    points.push({ x, y });
+    if (x < clip.xMin || x > clip.xMax || y < clip.yMin || y > clip.yMax) {
+      break;
+    }
+  }
+  return points;
+}
+
+// ====================================
+// Charts
+// ====================================
+
+/**
+ * Draws a scatter plot of paired data, optionally with a least-squares
+ * regression line. The data can be two Arrays or a p5.Table along with
+ * the names of two of its columns.
+ *
+ * @param {Number[]|p5.Table} xs  the x values, or a table
+ * @param {Number[]|String} ys    the y values, or the x column's name
+ * @param {Object} options        the options described in the README, or
+ *                                the y column's name followed by the options
+ *                                (Optional)
+ * @returns {Object} the regression's coefficients, r2 and predict function,
+ *                   or null without a regression
+ */
+p5.prototype.scatterPlot = function (xs, ys, options = {}) {
+  let xTitle = "";
+  let yTitle = "";
+  if (xs instanceof p5.Table) {
+    const table = xs;
+    xTitle = ys;
+    yTitle = options;
+    options = arguments[3] ?? {};
+    xs = table.getColumn(xTitle);
+    ys = table.getColumn(yTitle);
+  }
+  if (!Array.isArray(xs) || !Array.isArray(ys) || xs.length !== ys.length) {
+    throw new p5Error(
+      "scatterPlot() expects two Arrays of the same length or a p5.Table and two column names."
+    );
+  }
+  const points = xs
+    .map((x, i) => ({ x: Number(x), y: Number(ys[i]) }))
+    .filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+
+  const chart = this._chartLayout(
+    points.map((p) => p.x),
+    points.map((p) => p.y),
+    {
+      xTitle,
+      yTitle,
+      xScale: this._axisScale.x,
+      yScale: this._axisScale.y,
+      ...options,
+    }
+  );
+  this._drawChartFrame(chart);
+
+  // points
+  const size = options.pointSize ?? 8;
+  this.push();
+  this.noStroke();
+  this.fill(this.color(options.pointColor ?? this._palette[0]));
+  for (const p of points) {
+    const { x, y } = chart.toLocal(p.x, p.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    this.ellipse(x, y, size / chart.localPixels.x, size / chart.localPixels.y);
+  }
+  this.pop();
+
+  if (!options.regression) return null;
+  const linear = [true, "linear"].includes(options.regression);
+  const fit = polynomialRegression(points, linear ? 1 : options.regression);
+  if (!fit) return null;
+
+  // Sample the curve along the chart's scales, clip it to the chart, then
+  // map it to the current drawing space.
+  const { xScale, yScale, bounds } = chart;
+  const n = Math.ceil((chart.width * chart.localPixels.x) / 4);
+  const curve = sampleCurve(
+    (x) => x,
+    (x) => yScale.forward(fit.predict(xScale.inverse(x))),
+    xScale.forward(bounds.xMin),
+    xScale.forward(bounds.xMax),
+    n,
+    chart.pixels,
+    Infinity
+  );
+  const clip = {
+    xMin: xScale.forward(bounds.xMin),
+    xMax: xScale.forward(bounds.xMax),
+    yMin: yScale.forward(bounds.yMin),
+    yMax: yScale.forward(bounds.yMax),
+  };
+  const runs = clipRuns(curve, clip).map((run) =>
+    run.map((p) => chart.toLocal(xScale.inverse(p.x), yScale.inverse(p.y)))
+  );
+  this._drawPlotRuns(runs, {
+    color: options.lineColor ?? "orange",
+    thickness: options.lineThickness ?? 2,
+    dash: options.lineDash ?? false,
+  });
+
+  if ((options.showEquation ?? true) && this._canDrawText()) {
+    const labelSize = options.labelSize ?? 12;
+    // The top left corner of the chart.
+    const corner = { x: chart.x, y: chart.y + chart.yDir * chart.height };
+    this.push();
+    this.noStroke();
+    this.fill(this.color(options.lineColor ?? "orange"));
+    this.textSize(labelSize);
+    this.textAlign(this.LEFT, this.TOP);
+    this.text(
+      `${formatPolynomial(fit.coefficients)}\nR² = ${formatNumber(
+        parseFloat(fit.r2.toFixed(4))
+      )}`,
+      corner.x + 8 / chart.localPixels.x,
+      corner.y - (chart.yDir * 8) / chart.localPixels.y
+    );
+    this.pop();
+  }
+  return fit;
+};
+
+/**
+ * Draws a histogram of values, counting how many fall in each bin. Bins
+ * include their lower edge. Given a number of bins, they split the range
+ * of the values evenly. Otherwise they have a nice width and start at a
+ * multiple of it.
+ *
+ * @param {Number[]} values           the values to count
+ * @param {Number|Object} binsOrWidth the number of bins, or options with
+ *                                    the binWidth (Optional)
+ * @param {Object} options            the options described in the README (Optional)
+ * @returns {Object} the bins with their counts, along with a summary of the values
+ */
+p5.prototype.histogram = function (values, binsOrWidth, options = {}) {
+  let bins = binsOrWidth;
+  if (bins !== null && typeof bins === "object") {
+    options = bins;
+    bins = undefined;
+  }
+  if (bins !== undefined && !(Number.isInteger(bins) && bins >= 1)) {
+    throw new p5Error(
+      `histogram() needs a whole number of bins of at least 1, not ${bins}.`
+    );
+  }
+  if (options.binWidth !== undefined && !(options.binWidth > 0)) {
+    throw new p5Error(
+      `The binWidth must be a number greater than 0, not ${options.binWidth}.`
+    );
+  }
+  const data = numericValues(values, "histogram");
+  const summary = summarize(data);
+  const range = summary.max - summary.min || 1;
+  const exact = bins !== undefined && options.binWidth === undefined;
+  let binWidth;
+  let start;
+  let count;
+  if (exact) {
+    binWidth = range / bins;
+    start = summary.min;
+    count = bins;
+  } else {
+    // Sturges' rule picks the number of bins if no width is given.
+    binWidth =
+      options.binWidth ??
+      niceNumber(range / (Math.ceil(Math.log2(data.length)) + 1));
+    start = Math.floor(summary.min / binWidth + 1e-9) * binWidth;
+    count = Math.max(
+      1,
+      Math.floor((summary.max - start) / binWidth + 1e-9) + 1
+    );
+  }
+  const counts = new Array(count).fill(0);
+  for (const v of data) {
+    const k = Math.floor((v - start) / binWidth + 1e-9);
+    counts[Math.min(k, count - 1)] += 1;
+  }
+  const edges = counts.map((_, k) =>
+    parseFloat((start + k * binWidth).toPrecision(12))
+  );
+  const end = parseFloat((start + count * binWidth).toPrecision(12));
+
+  // Nice bins are labeled at their edges, and others on a nice scale.
+  const chart = this._chartLayout([start, end], counts, {
+    ...options,
+    xRange: options.xRange ?? (exact ? undefined : [start, end]),
+    yIncludeZero: true,
+  });
+  if (!exact) {
+    // Skip some edges if they are too close together.
+    const every = Math.ceil(40 / (binWidth * chart.pixels.x));
+    chart.xStep = options.xStep ?? binWidth * every;
+  }
+  chart.yStep = options.yStep ?? Math.max(1, chart.yStep);
+  this._drawChartFrame(chart);
+
+  this.push();
+  this.rectMode(this.CORNERS);
+  this.fill(this.color(options.color ?? this._palette[0]));
+  this.stroke(this.color(options.strokeColor ?? "black"));
+  this._pixelStrokeWeight(1);
+  counts.forEach((n, k) => {
+    if (n === 0) return;
+    const a = chart.toLocal(edges[k], 0);
+    const b = chart.toLocal(edges[k] + binWidth, n);
+    this.rect(a.x, a.y, b.x, b.y);
+  });
+  this.pop();
+
+  return {
+    ...summary,
+    binWidth,
+    bins: counts.map((n, k) => ({
+      from: edges[k],
+      to: k + 1 < count ? edges[k + 1] : end,
+      count: n,
+    })),
+    counts,
+  };
+};
+
+/**
+ * Draws a box plot of values showing their five-number summary. Values
+ * more than 1.5 IQR beyond the quartiles are drawn as outliers.
+ *
+ * @param {Number[]} values  the values to summarize
+ * @param {Object} options   the options described in the README (Optional)
+ * @returns {Object} the values' summary, including quartiles and outliers
+ */
+p5.prototype.boxPlot = function (values, options = {}) {
+  const data = numericValues(values, "boxPlot");
+  const summary = summarize(data);
+  const { q1, median, q3, iqr } = summary;
+  const lowerFence = q1 - 1.5 * iqr;
+  const upperFence = q3 + 1.5 * iqr;
+  const inside = data.filter((v) => v >= lowerFence && v <= upperFence);
+  const outliers = data.filter((v) => v < lowerFence || v > upperFence);
+  const whiskers = [Math.min(...inside), Math.max(...inside)];
+
+  const chart = this._chartLayout(data, [0, 1], {
+    ...this._stripLayout(options),
+    ...options,
+    yRange: [0, 1],
+    showYAxis: false,
+  });
+  this._drawChartFrame(chart);
+  const at = (x, y) => chart.toLocal(x, y);
+
+  this.push();
+  this.stroke(this.color(options.strokeColor ?? "white"));
+  this._pixelStrokeWeight(2);
+  const line = (x1, y1, x2, y2) => {
+    const a = at(x1, y1);
+    const b = at(x2, y2);
+    this.line(a.x, a.y, b.x, b.y);
+  };
+  // whiskers, box and median
+  line(whiskers[0], 0.5, q1, 0.5);
+  line(q3, 0.5, whiskers[1], 0.5);
+  line(whiskers[0], 0.4, whiskers[0], 0.6);
+  line(whiskers[1], 0.4, whiskers[1], 0.6);
+  this.rectMode(this.CORNERS);
+  this.fill(this.color(options.color ?? this._palette[0]));
+  const a = at(q1, 0.25);
+  const b = at(q3, 0.75);
+  this.rect(a.x, a.y, b.x, b.y);
+  line(median, 0.25, median, 0.75);
+
+  const size = 8;
+  this.noFill();
+  for (const v of outliers) {
+    const p = at(v, 0.5);
+    this.ellipse(
+      p.x,
+      p.y,
+      size / chart.localPixels.x,
+      size / chart.localPixels.y
+    );
+  }
+
+  if (options.showValues && this._canDrawText()) {
+    this.noStroke();
+    this.fill(this.color(chart.labelColor));
+    this.textSize(chart.labelSize);
+    // Quartiles go above the box and the median and whiskers below it,
+    // so that neighbouring labels are less likely to overlap.
+    const labels = [
+      [whiskers[0], 0.4, this.TOP],
+      [q1, 0.75, this.BOTTOM],
+      [median, 0.25, this.TOP],
+      [q3, 0.75, this.BOTTOM],
+      [whiskers[1], 0.4, this.TOP],
+    ];
+    for (const [v, y, align] of labels) {
+      const p = at(v, y);
+      const gap = align === this.TOP ? -6 : 6;
+      this.textAlign(this.CENTER, align);
+      this.text(
+        chart.xFormat(Math.round(v * 100) / 100),
+        p.x,
+        p.y + (chart.yDir * gap) / chart.localPixels.y
+      );
+    }
+  }
+  this.pop();
+
+  return { ...summary, lowerFence, upperFence, whiskers, outliers };
+};
+
+/**
+ * Draws a dot plot of values, stacking a dot for each value above its
+ * place on a number line.
+ *
+ * @param {Number[]} values  the values to plot
+ * @param {Object} options   the options described in the README (Optional)
+ * @returns {Object} the values' summary, including how often each appears
+ */
+p5.prototype.dotPlot = function (values, options = {}) {
+  const data = numericValues(values, "dotPlot");
+  const summary = summarize(data);
+  // Values are rounded to the nearest multiple of the step.
+  const step = options.step ?? 1;
+  const rounded = data.map((v) =>
+    parseFloat((Math.round(v / step) * step).toPrecision(12))
+  );
+  const counts = new Map();
+  for (const v of [...rounded].sort((a, b) => a - b)) {
+    counts.set(v, (counts.get(v) ?? 0) + 1);
+  }
+  const most = Math.max(...counts.values());
+  const modes = [...counts.keys()].filter((v) => counts.get(v) === most);
+
+  const chart = this._chartLayout(
+    [Math.min(...rounded) - step / 2, Math.max(...rounded) + step / 2],
+    [0, 1],
+    {
+      ...this._stripLayout(options),
+      ...options,
+      yRange: [0, 1],
+      showYAxis: false,
+    }
+  );
+  chart.xStep = Math.max(chart.xStep, step);
+  this._drawChartFrame(chart);
+
+  // Dots are as large as will fit, up to 16 pixels.
+  const columnPx = step * chart.pixels.x;
+  const size = Math.min(
+    16,
+    0.9 * columnPx,
+    (0.9 * chart.height * chart.localPixels.y) / most
+  );
+  const rowHeight = size / 0.9 / (chart.height * chart.localPixels.y);
+
+  this.push();
+  this.noStroke();
+  this.fill(this.color(options.color ?? this._palette[0]));
+  for (const [v, n] of counts) {
+    for (let k = 0; k < n; k++) {
+      const p = chart.toLocal(v, (k + 0.5) * rowHeight);
+      this.ellipse(
+        p.x,
+        p.y,
+        size / chart.localPixels.x,
+        size / chart.localPixels.y
+      );
+    }
+  }
+  this.pop();
+
+  return { ...summary, counts: Object.fromEntries(counts), modes };
+};
+
+/**
+ * Returns the default area for charts drawn along a single number line,
+ * which are shorter than other charts and centered on the canvas.
+ *
+ * @param {Object} options the chart's options
+ * @returns {Object} containing y and height, unless options sets them
+ */
+p5.prototype._stripLayout = function (options) {
+  if (options.y !== undefined || options.height !== undefined) return {};
+  const visible = this._visibleBounds();
+  const pixels = this._localPixelsPerUnit();
+  const height = Math.min(
+    200 / pixels.y,
+    visible.yMax - visible.yMin - 80 / pixels.y
+  );
+  const middle = (visible.yMin + visible.yMax) / 2;
+  const yDir = this._isYUp() ? 1 : -1;
+  return { y: middle - (yDir * height) / 2, height };
+};
+
+/**
+ * Works out where a chart goes and which data values it shows.
+ *
+ * With options.fit (the default), the data range is rounded out to nice
+ * numbers and mapped onto a rectangle in the current drawing space whose
+ * axes meet at (options.x, options.y). The rectangle fills the visible
+ * canvas by default. Without it, data values are drawn as they are, so
+ * charts line up with drawTickAxes().
+ *
+ * @param {Number[]} xs     the x values to fit
+ * @param {Number[]} ys     the y values to fit
+ * @param {Object} options  the chart's options
+ * @returns {Object} the chart's layout
+ */
+p5.prototype._chartLayout = function (xs, ys, options) {
+  const visible = this._visibleBounds();
+  const localPixels = this._localPixelsPerUnit();
+  const yDir = this._isYUp() ? 1 : -1;
+  const chart = {
+    localPixels,
+    yDir,
+    fit: options.fit ?? true,
+    xTitle: options.xTitle ?? "",
+    yTitle: options.yTitle ?? "",
+    axisColor: options.axisColor ?? "rgb(20,45,217)",
+    gridColor: options.gridColor ?? "rgba(255,255,255,0.6)",
+    labelColor: options.labelColor ?? "white",
+    labelSize: options.labelSize ?? 12,
+    showGrid: options.showGrid ?? true,
+    showXAxis: options.showXAxis ?? true,
+    showYAxis: options.showYAxis ?? true,
+    // Labels for an axis of categories, one per unit from 0.
+    xCategories: options.xCategories ?? null,
+    yCategories: options.yCategories ?? null,
+  };
+
+  // Fitted charts have their own scales, and others use axisScale()'s.
+  const scales = chart.fit
+    ? {
+        x: createScale(options.xScale ?? "linear"),
+        y: createScale(options.yScale ?? "linear"),
+      }
+    : this._axisScales();
+  chart.xScale = scales.x;
+  chart.yScale = scales.y;
+  const xFormat = options.xFormat ?? options.format;
+  const yFormat = options.yFormat ?? options.format;
+  chart.xFormat =
+    xFormat === undefined ? scales.x.format : tickLabelFormat(xFormat);
+  chart.yFormat =
+    yFormat === undefined ? scales.y.format : tickLabelFormat(yFormat);
+
+  if (!chart.fit) {
+    Object.assign(chart, {
+      bounds: {
+        xMin: scales.x.inverse(visible.xMin),
+        xMax: scales.x.inverse(visible.xMax),
+        yMin: scales.y.inverse(visible.yMin),
+        yMax: scales.y.inverse(visible.yMax),
+      },
+      pixels: localPixels,
+      toLocal: (x, y) => ({ x: scales.x.forward(x), y: scales.y.forward(y) }),
+      x: visible.xMin,
+      y: yDir > 0 ? visible.yMin : visible.yMax,
+      width: visible.xMax - visible.xMin,
+      height: visible.yMax - visible.yMin,
+      xStep: null,
+      yStep: null,
+    });
+    return chart;
+  }
+
+  // Leave room for the labels and titles around the chart.
+  chart.x = options.x ?? visible.xMin + 60 / localPixels.x;
+  chart.y =
+    options.y ??
+    (yDir > 0 ? visible.yMin : visible.yMax) + (yDir * 50) / localPixels.y;
+  chart.width =
+    options.width ?? visible.xMax - visible.xMin - 80 / localPixels.x;
+  chart.height =
+    options.height ?? visible.yMax - visible.yMin - 80 / localPixels.y;
+
+  const widthPx = chart.width * localPixels.x;
+  const heightPx = chart.height * localPixels.y;
+  // Ranges are worked out in coordinates along each scale, where
+  // logarithmic ranges are rounded out to whole powers.
+  const niceRange = (values, pixels, includeZero, scale) => {
+    const log = scale.type !== "linear";
+    const coordinates = values
+      .concat(includeZero && !log ? [0] : [])
+      .map(scale.forward)
+      .filter(Number.isFinite);
+    let lo = Math.min(...coordinates);
+    let hi = Math.max(...coordinates);
+    if (!Number.isFinite(lo)) [lo, hi] = [0, 1];
+    if (lo === hi) [lo, hi] = [lo - 1, hi + 1];
+    const step = log
+      ? 1
+      : niceNumber((hi - lo) / Math.max(2, Math.floor(pixels / 70)));
+    return {
+      lo: Math.floor(lo / step + 1e-9) * step,
+      hi: Math.ceil(hi / step - 1e-9) * step,
+      step,
+    };
+  };
+  const range = (given, values, pixels, includeZero, scale) =>
+    given
+      ? { lo: scale.forward(given[0]), hi: scale.forward(given[1]) }
+      : niceRange(values, pixels, includeZero, scale);
+  const xr = range(options.xRange, xs, widthPx, options.xIncludeZero, scales.x);
+  const yr = range(
+    options.yRange,
+    ys,
+    heightPx,
+    options.yIncludeZero,
+    scales.y
+  );
+  chart.bounds = {
+    xMin: scales.x.inverse(xr.lo),
+    xMax: scales.x.inverse(xr.hi),
+    yMin: scales.y.inverse(yr.lo),
+    yMax: scales.y.inverse(yr.hi),
+  };
+  // pixels per unit of each scale's coordinates
+  chart.pixels = {
+    x: widthPx / (xr.hi - xr.lo),
+    y: heightPx / (yr.hi - yr.lo),
+  };
+  // Steps on a logarithmic scale count powers.
+  const step = (scale, r, pixels, space) =>
+    scale.type !== "linear"
+      ? logTickStep(pixels, space)
+      : r.step ??
+        niceNumber(
+          (r.hi - r.lo) / Math.max(2, Math.floor(((r.hi - r.lo) * pixels) / 70))
+        );
+  chart.xStep =
+    options.xStep ?? step(scales.x, xr, chart.pixels.x, 3 * chart.labelSize);
+  chart.yStep =
+    options.yStep ?? step(scales.y, yr, chart.pixels.y, 2 * chart.labelSize);
+  chart.toLocal = (x, y) => ({
+    x:
+      chart.x + (scales.x.forward(x) - xr.lo) * (chart.width / (xr.hi - xr.lo)),
+    y:
+      chart.y +
+      yDir * (scales.y.forward(y) - yr.lo) * (chart.height / (yr.hi - yr.lo)),
+  });
+  return chart;
+};
+
+/**
+ * Draws the gridlines, axes, tick labels and titles of a fitted chart.
+ * Charts that are not fitted rely on drawTickAxes() instead.
+ *
+ * @param {Object} chart the layout from _chartLayout()
+ */
+p5.prototype._drawChartFrame = function (chart) {
+  if (!chart.fit) return;
+  const { bounds, localPixels, yDir } = chart;
+  // Logarithmic scales also get minor gridlines.
+  const ticks = (scale, lo, hi, step) =>
+    scaleTicks(scale, lo, hi, step, scale.type !== "linear");
+  const xTicks =
+    chart.xCategories || !chart.showXAxis
+      ? []
+      : ticks(chart.xScale, bounds.xMin, bounds.xMax, chart.xStep);
+  const yTicks =
+    chart.yCategories || !chart.showYAxis
+      ? []
+      : ticks(chart.yScale, bounds.yMin, bounds.yMax, chart.yStep);
+  const xMajor = xTicks.filter((t) => !t.minor);
+  const yMajor = yTicks.filter((t) => !t.minor);
+  const line = (x1, y1, x2, y2) => {
+    const a = chart.toLocal(x1, y1);
+    const b = chart.toLocal(x2, y2);
+    this.line(a.x, a.y, b.x, b.y);
+  };
+
+  this.push();
+  if (chart.showGrid) {
+    this.stroke(this.color(chart.gridColor));
+    for (const { value, minor } of xTicks) {
+      this._pixelStrokeWeight(minor ? 0.125 : 0.25);
+      line(value, bounds.yMin, value, bounds.yMax);
+    }
+    for (const { value, minor } of yTicks) {
+      this._pixelStrokeWeight(minor ? 0.125 : 0.25);
+      line(bounds.xMin, value, bounds.xMax, value);
+    }
+  }
+  this.stroke(this.color(chart.axisColor));
+  this._pixelStrokeWeight(3);
+  if (chart.showXAxis) line(bounds.xMin, bounds.yMin, bounds.xMax, bounds.yMin);
+  if (chart.showYAxis) line(bounds.xMin, bounds.yMin, bounds.xMin, bounds.yMax);
+
+  if (this._canDrawText()) {
+    // Offsets in pixels, pointing down and left on screen.
+    const down = (px) => (-yDir * px) / localPixels.y;
+    const left = (px) => -px / localPixels.x;
+    this.noStroke();
+    this.fill(this.color(chart.labelColor));
+    this.textSize(chart.labelSize);
+    this.textAlign(this.CENTER, this.TOP);
+    for (const { value } of xMajor) {
+      const p = chart.toLocal(value, bounds.yMin);
+      this.text(chart.xFormat(value), p.x, p.y + down(6));
+    }
+    (chart.xCategories ?? []).forEach((label, i) => {
+      const p = chart.toLocal(i + 0.5, bounds.yMin);
+      this.text(label, p.x, p.y + down(6));
+    });
+    if (chart.xTitle) {
+      const p = {
+        x: chart.x + chart.width / 2,
+        y: chart.toLocal(bounds.xMin, bounds.yMin).y,
+      };
+      this.text(chart.xTitle, p.x, p.y + down(10 + 1.5 * chart.labelSize));
+    }
+    this.textAlign(this.RIGHT, this.CENTER);
+    for (const { value } of yMajor) {
+      const p = chart.toLocal(bounds.xMin, value);
+      this.text(chart.yFormat(value), p.x + left(8), p.y);
+    }
+    (chart.yCategories ?? []).forEach((label, i) => {
+      const p = chart.toLocal(bounds.xMin, i + 0.5);
+      this.text(label, p.x + left(8), p.y);
+    });
+    if (chart.yTitle) {
+      const p = chart.toLocal(bounds.xMin, bounds.yMax);
+      this.textAlign(this.CENTER, this.BOTTOM);
+      this.text(chart.yTitle, p.x, p.y + down(-8));
+    }
+  }
+  this.pop();
+};
+
+/**
+ * A class to define a rolling line chart that shows how one or more values
+ * change over the most recent frames. Charts are drawn after draw() runs,
+ * either in a corner of the canvas or in a panel below it.
+ */
+class LiveChart {
+  constructor(pInst, options = {}) {
+    this.pInst = pInst;
+    this.length = options.length ?? 200;
+    this.width = options.width ?? 240;
+    this.height = options.height ?? 120;
+    this.position = options.position ?? "top-right";
+    this.yRange = options.yRange ?? null;
+    this.title = options.title ?? "";
+    this.colors = options.colors ?? pInst._palette;
+    this.background = options.background ?? "rgba(0,0,0,0.6)";
+    this.labelColor = options.labelColor ?? "white";
+    this.series = new Map();
+    this.graphics = null;
+    if (options.panel) {
+      // Draw into a separate canvas placed in the page instead.
+      this.graphics = pInst.createGraphics(this.width, this.height);
+      this.graphics.elt.style.display = "block";
+      const parent = options.parent ?? pInst._renderer?.elt.parentNode;
+      (typeof parent === "string"
+        ? document.getElementById(parent)
+        : parent ?? document.body
+      ).appendChild(this.graphics.elt);
+    }
+  }
+
+  /**
+   * Records the current frame's value of a series, creating the series
+   * the first time its name is used. Values that are not finite numbers
+   * are skipped.
+   *
+   * @param {String} name  the series' name, shown in the legend
+   * @param {Number} value the value to record
+   */
+  add(name, value) {
+    value = Number(value);
+    if (!Number.isFinite(value)) return;
+    if (!this.series.has(name)) {
+      this.series.set(name, {
+        color: this.colors[this.series.size % this.colors.length],
+        frames: new Array(this.length),
+        values: new Array(this.length),
+        next: 0,
+        size: 0,
+      });
+    }
+    // Each series is a ring buffer of its most recent values.
+    const s = this.series.get(name);
+    s.frames[s.next] = this.pInst.frameCount;
+    s.values[s.next] = value;
+    s.next = (s.next + 1) % this.length;
+    s.size = Math.min(s.size + 1, this.length);
+  }
+
+  /**
+   * Removes every series and its values.
+   */
+  clear() {
+    this.series.clear();
+  }
+
+  /**
+   * Returns a series' values from oldest to newest.
+   *
+   * @param {Object} s the series
+   * @returns {Object[]} containing each value and the frame it was recorded
+   */
+  samples(s) {
+    const samples = [];
+    for (let i = 0; i < s.size; i++) {
+      const k = (s.next - s.size + i + this.length) % this.length;
+      samples.push({ frame: s.frames[k], value: s.values[k] });
+    }
+    return samples;
+  }
+
+  /**
+   * Draws the chart in canvas pixels.
+   */
+  draw() {
+    const p = this.pInst;
+    const g = this.graphics ?? p;
+    const { width: w, height: h } = this;
+    const margin = 10;
+    let x = margin;
+    let y = margin;
+    if (this.graphics) {
+      x = 0;
+      y = 0;
+    } else if (typeof this.position === "object") {
+      ({ x, y } = this.position);
+    } else {
+      if (this.position.includes("right")) x = p.width - w - margin;
+      if (this.position.includes("bottom")) y = p.height - h - margin;
+    }
+
+    const all = [...this.series.values()].map((s) => this.samples(s));
+    const values = all.flat().map((sample) => sample.value);
+    let [lo, hi] = this.yRange ?? [Math.min(...values), Math.max(...values)];
+    if (!Number.isFinite(lo) || !Number.isFinite(hi)) [lo, hi] = [0, 1];
+    if (lo === hi) [lo, hi] = [lo - 1, hi + 1];
+    if (!this.yRange) {
+      // Round the range out to nice numbers.
+      const step = niceNumber((hi - lo) / 4);
+      lo = Math.floor(lo / step) * step;
+      hi = Math.ceil(hi / step) * step;
+    }
+    const plotLeft = 40;
+    const plotTop = this.title ? 22 : 8;
+    const plotWidth = w - plotLeft - 8;
+    const plotHeight = h - plotTop - 8;
+    const toX = (frame) =>
+      plotLeft + plotWidth * (1 - (p.frameCount - frame) / (this.length - 1));
+    const toY = (value) =>
+      plotTop + plotHeight * (1 - (value - lo) / (hi - lo));
+
+    g.push();
+    if (this.graphics) {
+      g.clear();
+    } else {
+      // Draw in canvas pixels whatever the coordinate mode.
+      g.resetMatrix();
+      if (g._renderer?.isP3D) g.translate(-g.width / 2, -g.height / 2);
+      g.translate(x, y);
+    }
+    g.noStroke();
+    g.fill(g.color(this.background));
+    g.rectMode(g.CORNER);
+    g.rect(0, 0, w, h, 4);
+
+    const drawText = !g._renderer?.isP3D || p._canDrawText();
+    g.textSize(10);
+    g.fill(g.color(this.labelColor));
+    if (drawText) {
+      g.textAlign(g.RIGHT, g.CENTER);
+      g._text(formatNumber(hi), plotLeft - 4, plotTop);
+      g._text(formatNumber(lo), plotLeft - 4, plotTop + plotHeight);
+      if (this.title) {
+        g.textAlign(g.CENTER, g.TOP);
+        g._text(this.title, w / 2, 5);
+      }
+    }
+    g.noFill();
+    g._strokeWeight(1);
+    g.stroke(g.color(this.labelColor));
+    g.line(plotLeft, plotTop, plotLeft, plotTop + plotHeight);
+
+    // series, then a legend with each series' latest value
+    let legendY = plotTop + 6;
+    [...this.series.entries()].forEach(([name, s], k) => {
+      const samples = all[k];
+      g.stroke(g.color(s.color));
+      g._strokeWeight(1.5);
+      g.beginShape();
+      for (const sample of samples) {
+        if (p.frameCount - sample.frame >= this.length) continue;
+        g.vertex(toX(sample.frame), toY(sample.value));
+      }
+      g.endShape();
+      if (drawText && samples.length > 0) {
+        const latest = samples[samples.length - 1].value;
+        g.noStroke();
+        g.fill(g.color(s.color));
+        g.textAlign(g.LEFT, g.CENTER);
+        g._text(
+          `${name}: ${formatNumber(Number(latest.toPrecision(4)))}`,
+          plotLeft + 6,
+          legendY
+        );
+        legendY += 12;
+        g.noFill();
+      }
+    });
+    g.pop();
+  }
+
+  /**
+   * Stops drawing the chart and removes its panel.
+   */
+  remove() {
+    const charts = this.pInst._liveCharts ?? [];
+    const i = charts.indexOf(this);
+    if (i !== -1) charts.splice(i, 1);
+    // lineChart() creates a new chart the next time it is called.
+    if (this.pInst._lineChart === this) this.pInst._lineChart = null;
+    this.graphics?.remove();
+    this.graphics = null;
   }
 }
 
 /**
- *  Creates a circle that users can drag about the canvas with their mouse.
+ * Creates a rolling line chart. Record values with its add() method and
+ * the chart is drawn after each call to draw().
  *
- * @param {Number} x      the circle's x-coordinate
- * @param {Number} y      the circle's y-coordinate
- * @param {Number} d      the circle's diameter
- * @param {p5.Color} clr  the circle's color when hovered over (Optional)
- * @returns
+ * @param {Object} options the options described in the README (Optional)
+ * @returns {LiveChart} the chart
  */
-p5.prototype.createMovableCircle = function (x, y, d, clr = "red") {
-  return new MovableCircle(this, x, y, d, clr);
+p5.prototype.createLiveChart = function (options = {}) {
+  const chart = new LiveChart(this, options);
+  this._liveCharts = this._liveCharts ?? [];
+  this._liveCharts.push(chart);
+  return chart;
 };
 
+// The charts drawn after each call to draw(), and the chart lineChart() uses.
+p5.prototype._liveCharts = null;
+p5.prototype._lineChart = null;
+
 /**
- *  Returns the current UNIX time in seconds.
+ * Records a value in a rolling line chart shared by every call, which is
+ * created the first time lineChart() is called. Call it once per frame for
+ * each value to watch.
  *
- * @returns {Number} the time
+ * @param {String} name    the series' name, shown in the legend
+ * @param {Number} value   the value to record
+ * @param {Object} options the options used to create the chart (Optional)
  */
-p5.prototype.unixTime = function () {
-  return Math.round(Date.now() / 1000);
+p5.prototype.lineChart = function (name, value, options) {
+  if (!this._lineChart) {
+    this._lineChart = this.createLiveChart(options);
+  }
+  this._lineChart.add(name, value);
 };
 
 /**
- *  Simplifies the task of running separate sketches by switching in response
- *  to key presses.
- *
- * @param {Number} numMilestones  the number of milestones
- * @param {String} path           the path to the folder containing sketches (Optional)
- * @param {String} prefix         the prefix used for files containing sketches (Optional)
+ * Draws every live chart.
  */
-p5.prototype.createManager = function (
-  numMilestones,
-  path = "milestones",
-  prefix = "m"
-) {
-  document.addEventListener("keypress", function (event) {
-    for (let i = 0; i < numMilestones; i += 1) {
-      if (event.keyCode === 49 + i) {
-        const pre = document.getElementById("output");
-        if (!pre === null) {
-          pre.remove();
-        }
-
-        const div = document.getElementById("sketch-holder");
-        if (!div === null) {
-          div.remove();
-        }
-
-        const filename = `${path}/${prefix}${i + 1}.py`;
-        runCode(filename);
-        break;
-      }
-    }
-  });
+p5.prototype._drawLiveCharts = function () {
+  for (const chart of this._liveCharts ?? []) {
+    chart.draw();
+  }
 };
 
+// In global mode, hooks are called on window, so call the bound method.
+p5.prototype.registerMethod("post", function () {
+  this._drawLiveCharts();
+});
+
 /**
- * Draws a single die that displays a number 1-6.
+ * Checks that values is an Array and returns its numbers.
  *
- * @param {Number} roll         the number to display
- * @param {Number} x            the die's x-coordinate
- * @param {Number} y            the die's y-coordinate
- * @param {p5.Color} primary    the die's primary (background) color (Optional)
- * @param {p5.Color} secondary  the die's secondary (circle) color (Optional)
+ * @param {Number[]} values the values passed to a chart
+ * @param {String} name     the chart's name, for the error message
+ * @returns {Number[]} the values that are numbers
  */
-p5.prototype.die = function (
-  roll,
-  x,
-  y,
-  primary = "white",
-  secondary = "black"
-) {
-  if ([1, 2, 3, 4, 5, 6].indexOf(roll) < 0) {
-    throw new p5Error("roll must be an integer from 1 to 6");
+function numericValues(values, name) {
+  if (!Array.isArray(values)) {
+    throw new p5Error(`${name}() expects an Array of numbers.`);
   }
-  let s = 15;
-  this.push();
-  this.fill(primary);
-  this.noStroke();
-  this.rectMode(this.CENTER);
-  this.square(x, y, 4 * s, 6);
-  this.fill(secondary);
-  if (roll === 1) {
-    this.circle(x, y, s);
-  } else if (roll === 2) {
-    this.circle(x + s, y - s, s);
-    this.circle(x - s, y + s, s);
-  } else if (roll === 3) {
-    this.circle(x, y, s);
-    this.circle(x + s, y - s, s);
-    this.circle(x - s, y + s, s);
-  } else if (roll === 4) {
-    this.circle(x + s, y - s, s);
-    this.circle(x - s, y + s, s);
-    this.circle(x + s, y + s, s);
-    this.circle(x - s, y - s, s);
-  } else if (roll === 5) {
-    this.circle(x, y, s);
-    this.circle(x + s, y - s, s);
-    this.circle(x - s, y + s, s);
-    this.circle(x + s, y + s, s);
-    this.circle(x - s, y - s, s);
-  } else {
-    this.circle(x + s, y - (s * 6) / 5, s);
-    this.circle(x - s, y + (s * 6) / 5, s);
-    this.circle(x + s, y + (s * 6) / 5, s);
-    this.circle(x - s, y - (s * 6) / 5, s);
-    this.circle(x - s, y, s);
-    this.circle(x + s, y, s);
+  const data = values.map(Number).filter(Number.isFinite);
+  if (data.length === 0) {
+    throw new p5Error(`${name}() needs at least one number to plot.`);
   }
-  this.pop();
-};
+  return data;
+}
 
 /**
- * Draws a simple bar graph given an Array of data.
+ * Summarizes values with their count, mean and five-number summary.
+ * Quartiles are the medians of the lower and upper halves, leaving out
+ * the median itself when there is an odd number of values.
  *
- * @param {Number[]} data   the data to graph
- * @param {Array} labels    the labels for the data (Optional)
- * @param {Number} width    the width of the graph (Optional)
- * @param {Number} height   the height of the graph (Optional)
- * @param {Number} barScale the scale factor from data values to bar height (Optional)
+ * @param {Number[]} values the values to summarize
+ * @returns {Object} containing n, mean, min, q1, median, q3, max and iqr
  */
-p5.prototype.drawBarGraph = function (data, labels, width, height, barScale) {
-  const transform_matrix = this.drawingContext.getTransform();
-  const ox = transform_matrix.e;
-  const oy = transform_matrix.f;
-  let _width;
-  if (!width) {
-    _width = this.width - ox - 16;
-  } else {
-    _width = width;
-  }
-  let _height;
-  if (!height) {
-    _height = this.height - (this.height - oy) - 16;
-  } else {
-    _height = height;
-  }
-  let barWidth = (_width - 2) / (2 * data.length);
-  this.push();
-  this.textAlign(this.CENTER, this.CENTER);
-  // Axes
-  this.push();
-  this.noFill();
-  this.line(0, 0, _width, 0);
-  this.triangle(_width, 10, _width, -10, _width + 15, 0);
-  this.line(0, 0, 0, _height);
-  this.triangle(-10, _height, 10, _height, 0, _height + 15);
-  this.pop();
-  // Labels
-  this.noStroke();
-  // FIXME: this is a hack
-  if (this.frameCount > 1) {
-    if (labels) {
-      for (let i = 0; i < data.length; i += 1) {
-        let x = barWidth + 2 * i * barWidth;
-        this.text(labels[i], x, -this.textSize());
-      }
-    } else {
-      for (let i = 0; i < data.length; i += 1) {
-        let x = barWidth + 2 * i * barWidth;
-        this.text(i + 1, x, -this.textSize());
-      }
-    }
-  }
-  // Bars
-  this.push();
-  this.noStroke();
-  let _barScale;
-  if (!barScale) {
-    _barScale = 5;
-  } else {
-    _barScale = barScale;
-  }
-  for (let i = 0; i < data.length; i += 1) {
-    let x = 2 * i * barWidth + 1;
-    this.rect(x, 1, 2 * barWidth, data[i] * _barScale);
-  }
-  this.pop();
-};
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  const medianOf = (list) => {
+    const m = Math.floor(list.length / 2);
+    return list.length % 2 ? list[m] : (list[m - 1] + list[m]) / 2;
+  };
+  const lower = sorted.slice(0, Math.floor(n / 2));
+  const upper = sorted.slice(Math.ceil(n / 2));
+  const median = medianOf(sorted);
+  const q1 = n > 1 ? medianOf(lower) : median;
+  const q3 = n > 1 ? medianOf(upper) : median;
+  return {
+    n,
+    mean: sorted.reduce((sum, v) => sum + v, 0) / n,
+    min: sorted[0],
+    q1,
+    median,
+    q3,
+    max: sorted[n - 1],
+    iqr: parseFloat((q3 - q1).toPrecision(12)),
+  };
+}
 
 /**
- * A class to define a single piece of confetti for the celebrate function
+ * Fits a polynomial to points by least squares.
+ *
+ * @param {Object[]} points  the points to fit
+ * @param {Number} degree    the degree of the polynomial
+ * @returns {Object} the coefficients from the constant term up, r2 and
+ *                   a predict function, or null if the points do not
+ *                   determine a single polynomial
  */
-class Confetti {
-  constructor(pInst, _x, _y, _s) {
-    this.pInst = pInst;
-    let confettiColor = [
-      this.pInst.color("#00aeef"),
-      this.pInst.color("#ec008c"),
-      this.pInst.color("#72c8b6"),
-      this.pInst.color("#e6dd6a"),
-      this.pInst.color("#8641bf"),
-      this.pInst.color("#42d4be"),
-    ];
-    this.x = _x;
-    this.y = _y;
-    this.speed = _s;
-    this.time = this.pInst.random(0, 100);
-    this.color = this.pInst.random(confettiColor);
-    this.amp = this.pInst.random(2, 30);
-    this.phase = this.pInst.random(0.5, 2);
-    this.size = this.pInst.random(
-      this.pInst.width / 25,
-      this.pInst.height / 50
+function polynomialRegression(points, degree) {
+  if (!Number.isInteger(degree) || degree < 1) {
+    throw new p5Error(
+      `The regression must be "linear" or a whole number of at least 1, not ${degree}.`
     );
-    this.form = this.pInst.round(this.pInst.random(0, 1));
   }
-
-  confettiDisplay() {
-    this.pInst.fill(this.color);
-    // blendMode(SCREEN);
-    this.pInst.noStroke();
-    this.pInst.push();
-    this.pInst.translate(this.x, this.y);
-    this.pInst.translate(
-      this.amp * Math.sin(this.time * this.phase),
-      this.speed * Math.cos(2 * this.time * this.phase)
-    );
-    this.pInst.rotate(this.time);
-    this.pInst.rectMode(this.pInst.CENTER);
-    this.pInst.scale(Math.cos(this.time / 4), Math.sin(this.time / 4));
-    if (this.form === 0) {
-      this.pInst.rect(0, 0, this.size, this.size / 2);
-    } else {
-      this.pInst.ellipse(0, 0, this.size);
+  const n = points.length;
+  if (n <= degree) return null;
+  // Fit in terms of t = (x - mean) / spread to keep the numbers small.
+  const mean = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const spread = Math.max(...points.map((p) => Math.abs(p.x - mean))) || 1;
+  const size = degree + 1;
+  const matrix = Array.from({ length: size }, () =>
+    new Array(size + 1).fill(0)
+  );
+  for (const p of points) {
+    const t = (p.x - mean) / spread;
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) matrix[r][c] += Math.pow(t, r + c);
+      matrix[r][size] += p.y * Math.pow(t, r);
     }
-    this.pInst.pop();
-
-    this.time = this.time + 0.1;
+  }
+  const inT = solveLinearSystem(matrix);
+  if (!inT) return null;
 
-    this.speed += 8 / 200;
+  // Expand the polynomial in t into one in x.
+  const coefficients = new Array(size).fill(0);
+  inT.forEach((c, k) => {
+    for (let j = 0; j <= k; j++) {
+      coefficients[j] +=
+        (c * binomial(k, j) * Math.pow(-mean, k - j)) / Math.pow(spread, k);
+    }
+  });
+  const predict = (x) => {
+    const t = (x - mean) / spread;
+    return inT.reduce((sum, c, k) => sum + c * Math.pow(t, k), 0);
+  };
 
-    this.y += this.speed;
-  }
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const total = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+  const residual = points.reduce(
+    (sum, p) => sum + (p.y - predict(p.x)) ** 2,
+    0
+  );
+  const r2 = total > 0 ? 1 - residual / total : 1;
+  if (![...coefficients, r2].every(Number.isFinite)) return null;
+  return { coefficients, r2, predict };
 }
 
 /**
- * Populates confetti array with pieces specified by amount
+ * Solves a system of linear equations by Gaussian elimination.
  *
- * @param {Object} pInst    p5 instance
- * @param {Number} amount   the amount of confetti pieces to create
+ * @param {Number[][]} matrix the augmented matrix, which is modified
+ * @returns {Number[]} the solution, or null if it is not unique
  */
-let confetti = [];
-
-function createConfetti(pInst, amount) {
-  for (let i = 0; i < amount; i++) {
-    confetti[i] = new Confetti(
-      pInst,
-      pInst.random(0, pInst.width),
-      pInst.random(-pInst.height, 0),
-      pInst.random(-1, 1)
-    );
+function solveLinearSystem(matrix) {
+  const n = matrix.length;
+  let largest = 0;
+  for (const row of matrix) {
+    for (const v of row) largest = Math.max(largest, Math.abs(v));
+  }
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(matrix[r][col]) > Math.abs(matrix[pivot][col])) pivot = r;
+    }
+    // A pivot that is zero, or lost in rounding, leaves a free variable.
+    if (!(Math.abs(matrix[pivot][col]) > 1e-12 * largest)) return null;
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    for (let r = col + 1; r < n; r++) {
+      const factor = matrix[r][col] / matrix[col][col];
+      for (let c = col; c <= n; c++) matrix[r][c] -= factor * matrix[col][c];
+    }
   }
+  const solution = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = matrix[r][n];
+    for (let c = r + 1; c < n; c++) sum -= matrix[r][c] * solution[c];
+    solution[r] = sum / matrix[r][r];
+  }
+  return solution;
 }
 
 /**
- * Populate confetti array and display confetti on screen. When confetti reaches bottom of screen recreate it.
+ * Returns the binomial coefficient n choose k.
+ *
+ * @param {Number} n the number of items
+ * @param {Number} k the number chosen
+ * @returns {Number} the number of ways to choose
  */
-p5.prototype.celebrate = function celebrate() {
-  // save current coordinate mode
-  const currentCoordMode = this._coordinateMode;
-  this.coordinateMode(this.TOP_LEFT);
-  // check if confetti array is empty. if so create confetti.
-  if (confetti.length === 0) {
-    createConfetti(this, 100);
-  }
-  //let go half of the confetti
-  for (let i = 0; i < confetti.length / 2; i++) {
-    confetti[i].confettiDisplay();
-
-    if (confetti[i].y > this.height) {
-      confetti[i] = new Confetti(
-        this,
-        this.random(0, this.width),
-        this.random(-this.height, 0),
-        this.random(-1, 1)
-      );
-    }
-  }
-  // let go of other half
-  for (let i = Math.round(confetti.length / 2); i < confetti.length; i++) {
-    confetti[i].confettiDisplay();
+function binomial(n, k) {
+  let result = 1;
+  for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+  return result;
+}
 
-    if (confetti[i].y > this.height) {
-      confetti[i] = new Confetti(
-        this,
-        this.random(0, this.width),
-        this.random(-this.height, 0),
-        this.random(-1, 1)
-      );
-    }
+/**
+ * Writes a polynomial as an equation such as y = 0.5x² - 2x + 1.
+ *
+ * @param {Number[]} coefficients the coefficients from the constant term up
+ * @returns {String} the equation
+ */
+function formatPolynomial(coefficients) {
+  const superscripts = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+  const power = (k) =>
+    k === 0
+      ? ""
+      : k === 1
+      ? "x"
+      : `x${[...`${k}`].map((d) => superscripts[d]).join("")}`;
+  const terms = [];
+  for (let k = coefficients.length - 1; k >= 0; k--) {
+    const c = parseFloat(coefficients[k].toPrecision(3));
+    if (c === 0 && coefficients.length > 1) continue;
+    const size = Math.abs(c);
+    const digits = size === 1 && k > 0 ? "" : formatNumber(size);
+    const sign = c < 0 ? "-" : "+";
+    terms.push({ sign, text: `${digits}${power(k)}` });
   }
-  // load coordinate mode
-  this.coordinateMode(currentCoordMode);
-};
+  if (terms.length === 0) return "y = 0";
+  return terms.reduce(
+    (eq, { sign, text }, i) =>
+      i === 0
+        ? `y = ${sign === "-" ? "-" : ""}${text}`
+        : `${eq} ${sign} ${text}`,
+    ""
+  );
+}
 
 // ====================================
 // Python Compatibility
@@ -1026,6 +6746,16 @@ p5.prototype.crosshair = function (
 ) {
   let x = this.mouseX;
   let y = this.mouseY;
+  const topLeft = this._canvasToCoordinateMode(0, 0);
+  const bottomRight = this._canvasToCoordinateMode(this.width, this.height);
+  // The size of one pixel in the coordinate system's units.
+  const ppu = this._pixelsPerUnit();
+  const px = 1 / ppu.x;
+  const py = 1 / ppu.y;
+  const label =
+    ppu.x !== 1 || ppu.y !== 1
+      ? `x: ${x.toFixed(2)}, y: ${y.toFixed(2)}`
+      : `x: ${x}, y: ${y}`;
 
   this.push();
   this.cursor("NONE");
@@ -1033,32 +6763,35 @@ p5.prototype.crosshair = function (
   this.stroke(color);
   this.strokeWeight(thickness);
   this.textSize(fontSize);
-  this.line(0, y, this.width, y);
+  this.line(topLeft.x, y, bottomRight.x, y);
 
   this.push();
   this.strokeWeight(0);
   this.fill("black");
-  this.rect(x + 16, y + 16, 140, 50, 30);
+  this.rect(x + 16 * px, y + 16 * py, 140 * px, 50 * py, 30);
   this.pop();
 
   this.fill(color);
-  this.text(`x: ${x}, y: ${y}`, x + 32, y + 32);
-  this.line(x, 0, x, this.height);
+  this.text(label, x + 32 * px, y + 32 * py);
+  this.line(x, topLeft.y, x, bottomRight.y);
   this.strokeWeight(thickness * 3);
   this.stroke("red");
-  this.line(x - 10, y, x + 10, y);
-  this.line(x, y - 10, x, y + 10);
+  this.line(x - 10 * px, y, x + 10 * px, y);
+  this.line(x, y - 10 * py, x, y + 10 * py);
   this.pop();
 };
 
 p5.Element.prototype._position = p5.Element.prototype.position;
 p5.Element.prototype.position = function () {
-  if (this._pInst._coordinateMode === this._pInst.BOTTOM_LEFT) {
-    arguments[1] = this._pInst.height - arguments[1];
-    this._position(...arguments);
-  } else {
-    this._position(...arguments);
+  if (arguments.length === 0) {
+    return this._position();
+  }
+  if (this._pInst._isYUp()) {
+    const p = this._pInst._coordinateModeToCanvas(arguments[0], arguments[1]);
+    arguments[0] = p.x;
+    arguments[1] = p.y;
   }
+  return this._position(...arguments);
 };
 
 /**
@@ -0,0 +1,36 @@
+let protractor;
+let ruler;
+
+function setup() {
+  createCanvas(600, 400);
+  protractor = createProtractor(420, 60);
+  ruler = createRuler(60, 330);
+}
+
+function draw() {
+  background("black");
+  coordinateMode(keyIsPressed ? TOP_LEFT : BOTTOM_LEFT);
+  angleMode(keyIsPressed ? RADIANS : DEGREES);
+
+  // a triangle with its angles marked
+  stroke("white");
+  strokeWeight(2);
+  noFill();
+  triangle(60, 80, 260, 80, 60, 230);
+  drawAngle(260, 80, 60, 80, 60, 230);
+  drawAngle(60, 80, 260, 80, 60, 230, { color: "lime" });
+  drawAngle(260, 80, 60, 230, 60, 80, { color: "hotpink", arcs: 2 });
+  drawAngle(260, 80, 60, 80, 60, 230, {
+    reflex: true,
+    radius: 15,
+    fill: false,
+    showLabel: false,
+  });
+
+  protractor.draw();
+  ruler.draw();
+  noStroke();
+  fill("white");
+  text(`protractor: ${protractor.angle.toFixed(2)}`, 60, 280);
+  text(`ruler: ${ruler.reading}`, 60, 260);
+}
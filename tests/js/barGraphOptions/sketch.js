@@ -0,0 +1,74 @@
+function setup() {
+  coordinateMode(TOP_LEFT);
+  createCanvas(600, 400);
+}
+
+function draw() {
+  background("black");
+  const months = ["Jan", "Feb", "Mar", "Apr"];
+
+  // profit and loss with negative values and value labels
+  push();
+  translate(50, 170);
+  drawBarGraph([120, -40, 75, -10], {
+    labels: months,
+    width: 220,
+    height: 130,
+    showValues: true,
+    colors: ["lime", "red", "lime", "red"],
+    yTitle: "profit ($)",
+  });
+  pop();
+
+  // grouped series with a legend
+  push();
+  translate(350, 170);
+  drawBarGraph(
+    [
+      [3, 5],
+      [4, 2],
+      [6, 7],
+      [2, 3],
+    ],
+    {
+      labels: months,
+      width: 220,
+      height: 130,
+      series: ["cats", "dogs"],
+    }
+  );
+  pop();
+
+  // stacked series
+  push();
+  translate(50, 350);
+  drawBarGraph(
+    [
+      [3, 5, 1],
+      [4, 2, 2],
+      [6, 7, 3],
+    ],
+    {
+      labels: ["A", "B", "C"],
+      width: 220,
+      height: 130,
+      stacked: true,
+      showValues: true,
+      xTitle: "class",
+    }
+  );
+  pop();
+
+  // horizontal bars
+  push();
+  translate(400, 350);
+  drawBarGraph([12, 7, 3], {
+    labels: ["red", "green", "blue"],
+    width: 170,
+    height: 130,
+    horizontal: true,
+    showValues: true,
+    colors: ["red", "green", "blue"],
+  });
+  pop();
+}
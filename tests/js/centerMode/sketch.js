@@ -0,0 +1,29 @@
+let p;
+
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(400, 400);
+  p = createMovableCircle(-100, -100, 20);
+  const button = createButton("(100, 100)");
+  button.position(100, 100);
+}
+
+function draw() {
+  background("black");
+  drawTickAxes();
+
+  fill("hotpink");
+  circle(100, 50, 30);
+  circle(-100, 50, 30);
+  circle(-100, -50, 30);
+  circle(100, -50, 30);
+
+  fill("white");
+  text("I", 100, 80);
+  text("II", -100, 80);
+  text("III", -100, -80);
+  text("IV", 100, -80);
+
+  p.draw();
+  crosshair("white", 1, 14);
+}
@@ -0,0 +1,21 @@
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(600, 400);
+  setViewport(-6, 6, -4, 4);
+}
+
+function draw() {
+  background("black");
+
+  // filled bands of a saddle with labels
+  contour((x, y) => x * x - y * y, [-8, -4, -2, 0, 2, 4, 8], {
+    fill: true,
+    labels: true,
+    color: "white",
+    thickness: 1,
+  });
+  drawTickAxes();
+
+  plotImplicit((x, y) => x * x + y * y - 9, { color: "orange" });
+  plotImplicit((x, y) => x * y - 4, { color: "deepskyblue", dash: [8, 4] });
+}
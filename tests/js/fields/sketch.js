@@ -0,0 +1,32 @@
+let c;
+
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(600, 400);
+  setViewport(-6, 6, -4, 4);
+  c = createMovableCircle(-4, 2, 0.4);
+}
+
+function draw() {
+  background("black");
+  drawTickAxes({ showGrid: false });
+
+  if (keyIsPressed) {
+    // a rotating vector field at half scale, traced with RK4
+    push();
+    scale(0.5);
+    vectorField(
+      (x, y) => -y,
+      (x, y) => x,
+      { trace: c, density: 1 }
+    );
+    pop();
+  } else {
+    // a slope field traced with Euler's method
+    slopeField((x, y) => x - y, {
+      trace: c,
+      method: "euler",
+      traceColor: "red",
+    });
+  }
+}
@@ -0,0 +1,54 @@
+let A;
+let B;
+let C;
+
+function setup() {
+  createCanvas(600, 400);
+  A = createPoint(150, 100, "A");
+  B = createPoint(350, 120, "B", { color: "deepskyblue" });
+  C = createPoint(220, 300, "C", { showCoordinates: true });
+}
+
+function draw() {
+  background("black");
+  coordinateMode(keyIsPressed ? TOP_LEFT : BOTTOM_LEFT);
+  strokeWeight(2);
+  noFill();
+
+  // a triangle with its circumcircle, going clockwise so that the
+  // lengths are labeled outside
+  stroke("white");
+  drawSegment(A.x, A.y, C.x, C.y);
+  drawSegment(C.x, C.y, B.x, B.y);
+  drawSegment(B.x, B.y, A.x, A.y, { name: "AB" });
+  stroke("gray");
+  const c = drawCircleThrough(A.x, A.y, B.x, B.y, C.x, C.y);
+  if (c) drawPoint(c.x, c.y, "O", { color: "gray" });
+  stroke("hotpink");
+  drawPerpendicularBisector(A.x, A.y, B.x, B.y);
+
+  // where a line through A meets the circle
+  stroke("lime");
+  drawLineThrough(A.x, A.y, 500, 50, { dash: [6, 4] });
+  if (c) {
+    for (const p of intersectLineCircle(A.x, A.y, 500, 50, c.x, c.y, c.r)) {
+      drawPoint(p.x, p.y, { color: "lime" });
+    }
+  }
+
+  // where two circles meet
+  stroke("cyan");
+  drawCircleThrough(80, 330, 130, 330);
+  drawCircleThrough(160, 330, 200, 330);
+  for (const p of intersectCircles(80, 330, 50, 160, 330, 40)) {
+    drawPoint(p.x, p.y, { color: "cyan" });
+  }
+
+  stroke("gold");
+  fill(255, 215, 0, 50);
+  drawRegularPolygon(500, 300, 50, 6, { names: ["P", "Q"] });
+
+  A.draw();
+  B.draw();
+  C.draw();
+}
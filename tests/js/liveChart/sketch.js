@@ -0,0 +1,27 @@
+let chart;
+
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(600, 400);
+  chart = createLiveChart({ title: "position", panel: true, width: 400 });
+}
+
+function draw() {
+  background("black");
+  drawTickAxes();
+
+  const b = bounce(-150, 150, 3);
+  const w = wave(-150, 150, 3);
+  fill("hotpink");
+  circle(b, 50, 20);
+  fill("deepskyblue");
+  circle(w, -50, 20);
+
+  // a chart in the corner of the canvas
+  lineChart("bounce", b);
+  lineChart("wave", w);
+
+  // a chart in a panel below the canvas
+  chart.add("mouseX", mouseX);
+  chart.add("mouseY", mouseY);
+}
@@ -0,0 +1,33 @@
+let masses = [];
+let rates = [];
+
+function setup() {
+  createCanvas(600, 400);
+  for (let i = 0; i < 30; i++) {
+    masses.push(pow(10, random(-2, 4)));
+    rates.push(4 * pow(masses[i], 0.75) * random(0.7, 1.4));
+  }
+}
+
+function draw() {
+  background("black");
+  if (keyIsPressed) {
+    // a log-log scatter plot, where a power law is a straight line
+    axisScale(LOG, LOG);
+    setViewport();
+    scatterPlot(masses, rates, { xTitle: "mass (kg)", yTitle: "rate (W)" });
+  } else {
+    // semi-log axes, where exponential growth is a straight line
+    axisScale(LINEAR, LOG);
+    setViewport(-2, 11, -1.5, 4.5);
+    drawTickAxes({ xTitle: "hours", yTitle: "bacteria" });
+    plot((t) => 5 * pow(2, t));
+    plot((t) => 100 * t * t, 0.5, 10, { color: "deepskyblue" });
+
+    // the value under the mouse
+    const m = mouse();
+    fill("white");
+    text(`${unscaleY(m.y).toFixed(1)}`, m.x, m.y);
+    circle(scaleX(6), scaleY(320), 0.2);
+  }
+}
@@ -0,0 +1,42 @@
+let trail = [];
+
+function setup() {
+  coordinateMode(BOTTOM_LEFT);
+  createCanvas(400, 400);
+}
+
+function draw() {
+  background("black");
+
+  push();
+  // non-uniform scale and skew
+  translate(200, 150);
+  rotate(20);
+  scale(1.5, 0.75);
+  shearX(30);
+  drawTickAxes();
+
+  const m = mouse();
+  const pm = pmouse();
+  const d = mouseDelta();
+
+  stroke("white");
+  strokeWeight(2);
+  line(pm.x, pm.y, m.x, m.y);
+
+  noStroke();
+  fill("hotpink");
+  rect(m.x - 10, m.y - 10, 20, 20);
+
+  if (mouseIsPressed) {
+    trail.push(m);
+  }
+  fill("cyan");
+  for (const p of trail) {
+    circle(p.x, p.y, 4);
+  }
+  pop();
+
+  fill("white");
+  text(`dx: ${d.x.toFixed(1)}, dy: ${d.y.toFixed(1)}`, 10, 10);
+}
@@ -0,0 +1,43 @@
+let a;
+let b;
+
+function setup() {
+  createCanvas(600, 400);
+  a = createNumberLinePoint(-1);
+  b = createNumberLinePoint(1 / 2, "deepskyblue");
+}
+
+function draw() {
+  background("black");
+  coordinateMode(keyIsPressed ? TOP_LEFT : BOTTOM_LEFT);
+
+  // -3 + 5 = 2
+  drawNumberLine(-5, 5, {
+    y: 320,
+    step: 1,
+    jumps: [{ from: -3, by: 5 }],
+    points: [-3, 2],
+  });
+
+  // x < -2 or 1 ≤ x ≤ 3
+  drawNumberLine(-5, 5, {
+    y: 200,
+    step: 1,
+    intervals: [
+      { to: -2, openTo: true },
+      { from: 1, to: 3, color: "lime" },
+    ],
+  });
+
+  // draggable points that snap to quarters
+  drawNumberLine(-2, 2, {
+    y: 80,
+    step: 1 / 2,
+    minorTicks: 1,
+    format: "fraction",
+    points: [a, b],
+  });
+
+  fill("white");
+  text(`a + b = ${a.value + b.value}`, 20, 30);
+}
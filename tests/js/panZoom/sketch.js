@@ -0,0 +1,31 @@
+let p;
+
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(400, 400);
+  p = createMovableCircle(100, 100, 20);
+}
+
+function draw() {
+  panZoomControl();
+  background("black");
+  drawTickAxes();
+
+  noFill();
+  stroke("hotpink");
+  strokeWeight(3);
+  beginShape();
+  for (let x = -200; x <= 200; x += 5) {
+    vertex(x, 100 * sin(2 * x));
+  }
+  endShape();
+
+  p.draw();
+  crosshair("white", 1, 14);
+}
+
+function keyPressed() {
+  if (key === "r") {
+    resetPanZoom();
+  }
+}
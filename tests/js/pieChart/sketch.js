@@ -0,0 +1,21 @@
+const votes = [12, 30, 8, 20, 5];
+const fruits = ["apples", "bananas", "cherries", "grapes", "kiwis"];
+
+function setup() {
+  createCanvas(600, 400);
+}
+
+function draw() {
+  background("black");
+  // hover over a slice to see its value
+  const pie = pieChart(votes, fruits, {
+    donut: keyIsPressed,
+    legend: keyIsPressed,
+    explode: 1,
+  });
+  if (pie.hovered >= 0) {
+    const slice = pie.slices[pie.hovered];
+    fill("white");
+    text(`${slice.label}: ${slice.value} votes`, 10, 20);
+  }
+}
@@ -0,0 +1,17 @@
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(600, 400);
+  setViewport(-6, 6, -4, 4);
+  angleMode(RADIANS);
+}
+
+function draw() {
+  background("black");
+  drawTickAxes();
+
+  plot(tan, { color: "orange" });
+  plot((x) => 1 / x, { color: "deepskyblue", dash: [10, 5] });
+  plot(sqrt, 0, 5, { color: "lime", thickness: 5 });
+  plot((x) => x * x - 3, -3, 3, { shade: [-1, 2] });
+  plot((x) => log(x), { color: "violet" });
+}
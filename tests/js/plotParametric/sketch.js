@@ -0,0 +1,32 @@
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(600, 400);
+  setViewport(-6, 6, -4, 4);
+}
+
+function draw() {
+  background("black");
+  drawTickAxes();
+
+  // a rose traced over 5 seconds, in the default DEGREES mode
+  plotPolar((theta) => 3 * cos(4 * theta), { trace: 5, color: "orange" });
+
+  // a Lissajous figure traced by the mouse
+  plotParametric(
+    (t) => 5 * sin(3 * t),
+    (t) => 3.5 * sin(2 * t),
+    {
+      progress: mouseX / width + 0.5,
+      color: "deepskyblue",
+      pointColor: "white",
+    }
+  );
+
+  // an Archimedean spiral in RADIANS
+  angleMode(RADIANS);
+  plotPolar((theta) => theta / 4, 0, 6 * PI, { color: "lime", dash: [8, 4] });
+  angleMode(DEGREES);
+
+  // a hyperbola with asymptotes
+  plotParametric((t) => 1 / cos(t), tan, { color: "violet" });
+}
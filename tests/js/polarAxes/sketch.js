@@ -0,0 +1,26 @@
+function setup() {
+  createCanvas(600, 400);
+  coordinateMode(CENTER);
+}
+
+function draw() {
+  background("black");
+  if (keyIsPressed) {
+    // radians in a scaled viewport
+    angleMode(RADIANS);
+    setViewport(-3, 3, -2, 2);
+    drawPolarAxes();
+    plotPolar((theta) => 1 + cos(theta));
+  } else {
+    angleMode(DEGREES);
+    setViewport();
+    drawPolarAxes({ angleStep: 45 });
+    plotPolar((theta) => 150 * sin(2 * theta), { color: "deepskyblue" });
+  }
+
+  // the mouse in polar coordinates
+  const p = mousePolar();
+  const m = mouse();
+  fill("white");
+  text(`r = ${p.r.toFixed(2)}, θ = ${p.theta.toFixed(2)}`, m.x, m.y);
+}
@@ -0,0 +1,47 @@
+let table;
+let hours = [];
+let scores = [];
+
+function setup() {
+  createCanvas(600, 400);
+
+  // a table like one from loadTable()
+  table = new p5.Table();
+  table.addColumn("year");
+  table.addColumn("population");
+  for (let year = 1950; year <= 2020; year += 5) {
+    const row = table.addRow();
+    row.setNum("year", year);
+    row.setNum("population", 2.5 * exp((year - 1950) / 55) + random(-0.2, 0.2));
+  }
+
+  for (let i = 0; i < 30; i++) {
+    hours.push(random(0, 10));
+    scores.push(50 + 4 * hours[i] + random(-8, 8));
+  }
+}
+
+function draw() {
+  background("black");
+  if (keyIsPressed) {
+    // arrays with a linear regression
+    const fit = scatterPlot(hours, scores, {
+      regression: "linear",
+      xTitle: "hours studied",
+      yTitle: "score",
+    });
+    fill("white");
+    textAlign(RIGHT, TOP);
+    text(
+      `predicted for 5 hours: ${round(fit.predict(5), 1)}`,
+      width - 20,
+      height - 10
+    );
+  } else {
+    // a table with a quadratic regression
+    scatterPlot(table, "year", "population", {
+      regression: 2,
+      pointColor: "deepskyblue",
+    });
+  }
+}
@@ -0,0 +1,40 @@
+let heights = [];
+let rolls = [];
+let chart = 0;
+
+function setup() {
+  createCanvas(600, 400);
+  for (let i = 0; i < 200; i++) {
+    heights.push(randomGaussian(170, 8));
+  }
+  for (let i = 0; i < 40; i++) {
+    rolls.push(floor(random(1, 7)) + floor(random(1, 7)));
+  }
+  // a couple of outliers for the box plot
+  heights.push(120, 215);
+}
+
+function draw() {
+  background("black");
+  if (chart === 0) {
+    const summary = histogram(heights, 12, {
+      xTitle: "height (cm)",
+      yTitle: "people",
+    });
+    fill("white");
+    textAlign(RIGHT, TOP);
+    text(
+      `median ${round(summary.median, 1)}, IQR ${round(summary.iqr, 1)}`,
+      width - 20,
+      height - 10
+    );
+  } else if (chart === 1) {
+    boxPlot(heights, { xTitle: "height (cm)", showValues: true });
+  } else {
+    dotPlot(rolls, { xTitle: "sum of two dice", color: "deepskyblue" });
+  }
+}
+
+function mousePressed() {
+  chart = (chart + 1) % 3;
+}
@@ -0,0 +1,27 @@
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(400, 400, WEBGL);
+  loadFont("../assets/assets/PermanentMarker-Regular.ttf", "font");
+}
+
+function draw() {
+  background("black");
+  orbitControl();
+  textFont(assets["font"]);
+  rotateX(-60);
+  draw3DAxes(150, "violet", { showPlanes: false });
+
+  // a ripple, or a saddle with a wireframe while a key is pressed
+  if (keyIsPressed) {
+    surfacePlot((x, y) => (x * x - y * y) / 100, [-100, 100], {
+      wireframe: true,
+      colors: ["deepskyblue", "white", "hotpink"],
+    });
+  } else {
+    surfacePlot(
+      (x, y) => 40 * cos(sqrt(x * x + y * y) * 3 - frameCount * 3),
+      [-100, 100],
+      [-100, 100]
+    );
+  }
+}
@@ -1,12 +1,21 @@
 function setup() {
   createCanvas(400, 400, WEBGL);
   coordinateMode(BOTTOM_LEFT);
+  loadFont("../assets/assets/PermanentMarker-Regular.ttf", "font");
+  loadImage("../assets/assets/ada.jpg", "ada");
 }
 
 function draw() {
   orbitControl();
   background("black");
+  textFont(assets["font"]);
   drawTickAxes();
+  image(assets["ada"], 250, 250, 100, 100);
   fill("hotpink");
   circle(200, 100, 50);
+  text("BOTTOM_LEFT", 150, 200);
+
+  const m = mouse();
+  fill("white");
+  circle(m.x, m.y, 20);
 }
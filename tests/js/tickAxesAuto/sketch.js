@@ -0,0 +1,28 @@
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(800, 500);
+}
+
+function draw() {
+  background("black");
+
+  // the scale changes with mouseX, and the spacing follows it
+  const s = map(mouseX, -width / 2, width / 2, 0.02, 20, true);
+  push();
+  scale(s);
+  drawTickAxes({ scaleFactor: s, spacing: AUTO });
+  pop();
+
+  // a rotated copy in the corner, using only the transformation
+  push();
+  translate(-250, -120);
+  rotate(15);
+  scale(3);
+  drawTickAxes({
+    scaleFactor: 3,
+    spacing: AUTO,
+    quadrants: [1],
+    showGrid: false,
+  });
+  pop();
+}
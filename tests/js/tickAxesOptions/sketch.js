@@ -0,0 +1,43 @@
+function setup() {
+  coordinateMode(CENTER);
+  createCanvas(600, 400);
+  setViewport(-2 * PI, 2 * PI, -2, 2);
+}
+
+function draw() {
+  background("black");
+  drawTickAxes({
+    xSpacing: PI / 2,
+    ySpacing: 0.5,
+    xFormat: "pi",
+    minorTicks: 1,
+    xTitle: "θ",
+    yTitle: "sin(θ)",
+  });
+
+  noFill();
+  stroke("hotpink");
+  strokeWeight(3);
+  angleMode(RADIANS);
+  beginShape();
+  for (let x = -2 * PI; x <= 2 * PI; x += 0.05) {
+    vertex(x, sin(x));
+  }
+  endShape();
+  angleMode(DEGREES);
+
+  // a second set of axes in the first quadrant only, with percentages
+  push();
+  translate(-5.5, -1.8);
+  scale(0.5);
+  drawTickAxes({
+    scaleFactor: 0.5,
+    spacing: 0.5,
+    yFormat: "percent",
+    xFormat: (x) => `${x}s`,
+    quadrants: [1],
+    showGrid: false,
+    xTitle: "time (s)",
+  });
+  pop();
+}
@@ -15,6 +15,14 @@ function draw() {
   const x = mouse().x;
   const y = mouse().y;
   circle(x, y, 50);
+
+  // every touch in the same drawing space as the axes
+  for (const t of touchPoints()) {
+    fill("hotpink");
+    circle(t.x, t.y, 30);
+    fill("white");
+    text(`touch ${t.id}: (${round(t.x)}, ${round(t.y)})`, t.x + 20, t.y + 20);
+  }
 }
 
 function touchStarted() {
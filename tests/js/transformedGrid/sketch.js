@@ -0,0 +1,40 @@
+const matrices = [
+  [
+    [2, 1],
+    [1, 2],
+  ],
+  [
+    [1, 1],
+    [0, 1],
+  ],
+  [
+    [0, -1],
+    [1, 0],
+  ],
+  [
+    [1, 2],
+    [0.5, 1],
+  ],
+];
+let current = 0;
+
+function setup() {
+  createCanvas(600, 400);
+  coordinateMode(CENTER);
+}
+
+function draw() {
+  background("black");
+  setViewport(-6, 6, -4, 4);
+  // click to animate to the next matrix
+  const result = drawTransformedGrid(matrices[current], {
+    duration: 2,
+    showEigenvectors: true,
+  });
+  fill("white");
+  text(`eigenvalues: ${result.eigenvalues.join(", ")}`, -5.8, -3.7);
+}
+
+function mousePressed() {
+  current = (current + 1) % matrices.length;
+}
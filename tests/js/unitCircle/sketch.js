@@ -0,0 +1,20 @@
+let angle = 0;
+let following = true;
+
+function setup() {
+  createCanvas(600, 400);
+}
+
+function draw() {
+  background("black");
+  coordinateMode(keyIsPressed ? TOP_LEFT : BOTTOM_LEFT);
+  angleMode(keyIsPressed ? RADIANS : DEGREES);
+
+  // follows wave() until the point is dragged
+  if (following) angle = wave(0, 360, 1);
+  if (mouseIsPressed) following = false;
+  angle = unitCircle(keyIsPressed ? radians(angle) : angle, {
+    graph: "both",
+  });
+  if (keyIsPressed) angle = degrees(angle);
+}
@@ -0,0 +1,33 @@
+function setup() {
+  createCanvas(600, 400);
+}
+
+function draw() {
+  background("black");
+  coordinateMode(keyIsPressed ? TOP_LEFT : BOTTOM_LEFT);
+  setViewport(-1, 11, -1, 7);
+  drawTickAxes();
+
+  // a vector with its components, following the mouse
+  const m = mouse();
+  stroke("white");
+  strokeWeight(3);
+  drawVector(0, 0, createVector(m.x, m.y), {
+    name: "v",
+    showValue: true,
+    components: true,
+  });
+
+  strokeWeight(2);
+  drawVectorSum(4, 0, [createVector(2, 1), createVector(1, 3)], {
+    names: ["a", "b"],
+    showValue: true,
+  });
+  drawScalarMultiple(8, 1, [1, 1], 2, { name: "u" });
+  drawProjection(0, 5, [2, 1.5], [4, 0], { names: ["a", "b"] });
+  drawVectorDifference(6, 5, [3, 1], [1, 1.5], { names: ["p", "q"] });
+
+  strokeWeight(1);
+  stroke("red");
+  arrow(9, 6, 10.5, 6);
+}
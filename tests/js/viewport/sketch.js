@@ -0,0 +1,31 @@
+let p;
+
+function setup() {
+  coordinateMode(BOTTOM_LEFT);
+  createCanvas(400, 400);
+  setViewport(-3, 3, -1, 9);
+  p = createMovableCircle(1, 1, 0.3);
+}
+
+function draw() {
+  background("black");
+  drawTickAxes();
+
+  noFill();
+  stroke("hotpink");
+  strokeWeight(3);
+  beginShape();
+  for (let x = -3; x <= 3; x += 0.05) {
+    vertex(x, x * x);
+  }
+  endShape();
+
+  fill("white");
+  noStroke();
+  text("y = x²", 2.2, 7);
+
+  const s = worldToScreen(p.x, p.y);
+  text(`(${s.x.toFixed(0)}px, ${s.y.toFixed(0)}px)`, p.x + 0.2, p.y);
+  p.draw();
+  crosshair("white", 1, 14);
+}
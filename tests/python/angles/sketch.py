@@ -0,0 +1,25 @@
+from p5 import *
+
+
+def setup():
+  global protractor, ruler
+  createCanvas(600, 400)
+  angleMode(DEGREES)
+  protractor = createProtractor(420, 60)
+  ruler = createRuler(60, 330)
+
+
+def draw():
+  background('black')
+  stroke('white')
+  strokeWeight(2)
+  noFill()
+  triangle(60, 80, 260, 80, 60, 230)
+  drawAngle(260, 80, 60, 80, 60, 230)
+  drawAngle(60, 80, 260, 80, 60, 230, {'color': 'lime'})
+  drawAngle(260, 80, 60, 230, 60, 80, {'color': 'hotpink', 'arcs': 2})
+  protractor.draw()
+  ruler.draw()
+  noStroke()
+  fill('white')
+  text(f'protractor: {round(protractor.angle)}', 60, 280)
@@ -0,0 +1,21 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(TOP_LEFT)
+  createCanvas(600, 400)
+
+
+def draw():
+  background('black')
+  months = ['Jan', 'Feb', 'Mar', 'Apr']
+
+  push()
+  translate(50, 170)
+  drawBarGraph([120, -40, 75, -10], {'labels': months, 'width': 220, 'height': 130, 'showValues': True, 'yTitle': 'profit ($)'})
+  pop()
+
+  push()
+  translate(350, 170)
+  drawBarGraph([[3, 5], [4, 2], [6, 7], [2, 3]], {'labels': months, 'width': 220, 'height': 130, 'series': ['cats', 'dogs']})
+  pop()
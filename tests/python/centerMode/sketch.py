@@ -0,0 +1,25 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(400, 400)
+
+
+def draw():
+  background('black')
+  drawTickAxes()
+
+  fill('hotpink')
+  circle(100, 50, 30)
+  circle(-100, 50, 30)
+  circle(-100, -50, 30)
+  circle(100, -50, 30)
+
+  fill('white')
+  text('I', 100, 80)
+  text('II', -100, 80)
+  text('III', -100, -80)
+  text('IV', 100, -80)
+
+  crosshair('white', 1, 14)
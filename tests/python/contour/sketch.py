@@ -0,0 +1,22 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(600, 400)
+  setViewport(-6, 6, -4, 4)
+
+
+def saddle(x, y):
+  return x * x - y * y
+
+
+def circle(x, y):
+  return x * x + y * y - 9
+
+
+def draw():
+  background('black')
+  contour(saddle, [-8, -4, -2, 0, 2, 4, 8], {'fill': True, 'labels': True, 'color': 'white', 'thickness': 1})
+  drawTickAxes()
+  plotImplicit(circle, {'color': 'orange'})
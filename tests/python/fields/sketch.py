@@ -0,0 +1,21 @@
+from p5 import *
+
+c = None
+
+
+def setup():
+  global c
+  coordinateMode(CENTER)
+  createCanvas(600, 400)
+  setViewport(-6, 6, -4, 4)
+  c = createMovableCircle(-4, 2, 0.4)
+
+
+def slope(x, y):
+  return x - y
+
+
+def draw():
+  background('black')
+  drawTickAxes({'showGrid': False})
+  slopeField(slope, {'trace': c, 'method': 'euler', 'traceColor': 'red'})
@@ -0,0 +1,31 @@
+from p5 import *
+
+
+def setup():
+  global A, B, C
+  createCanvas(600, 400)
+  A = createPoint(150, 100, 'A')
+  B = createPoint(350, 120, 'B', {'color': 'deepskyblue'})
+  C = createPoint(220, 300, 'C', {'showCoordinates': True})
+
+
+def draw():
+  background('black')
+  strokeWeight(2)
+  noFill()
+  stroke('white')
+  drawSegment(A.x, A.y, C.x, C.y)
+  drawSegment(C.x, C.y, B.x, B.y)
+  drawSegment(B.x, B.y, A.x, A.y, {'name': 'AB'})
+  stroke('gray')
+  c = drawCircleThrough(A.x, A.y, B.x, B.y, C.x, C.y)
+  if c:
+    drawPoint(c.x, c.y, 'O', {'color': 'gray'})
+  stroke('hotpink')
+  drawPerpendicularBisector(A.x, A.y, B.x, B.y)
+  stroke('gold')
+  fill(255, 215, 0, 50)
+  drawRegularPolygon(500, 300, 50, 6, {'names': ['P', 'Q']})
+  A.draw()
+  B.draw()
+  C.draw()
@@ -0,0 +1,21 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(600, 400)
+
+
+def draw():
+  background('black')
+  drawTickAxes()
+
+  b = bounce(-150, 150, 3)
+  w = wave(-150, 150, 3)
+  fill('hotpink')
+  circle(b, 50, 20)
+  fill('deepskyblue')
+  circle(w, -50, 20)
+
+  lineChart('bounce', b)
+  lineChart('wave', w)
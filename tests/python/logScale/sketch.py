@@ -0,0 +1,14 @@
+from p5 import *
+
+
+def setup():
+  createCanvas(600, 400)
+  axisScale(LINEAR, LOG)
+  setViewport(-2, 11, -1.5, 4.5)
+
+
+def draw():
+  background('black')
+  drawTickAxes({'xTitle': 'hours', 'yTitle': 'bacteria'})
+  plot(lambda t: 5 * pow(2, t))
+  circle(scaleX(6), scaleY(320), 0.2)
@@ -0,0 +1,21 @@
+from p5 import *
+
+
+def setup():
+  global a, b
+  createCanvas(600, 400)
+  a = createNumberLinePoint(-1)
+  b = createNumberLinePoint(0.5, 'deepskyblue')
+
+
+def draw():
+  background('black')
+  drawNumberLine(-5, 5, {'y': 320, 'step': 1, 'jumps': [{'from': -3, 'by': 5}], 'points': [-3, 2]})
+  drawNumberLine(-5, 5, {
+    'y': 200,
+    'step': 1,
+    'intervals': [{'to': -2, 'openTo': True}, {'from': 1, 'to': 3, 'color': 'lime'}],
+  })
+  drawNumberLine(-2, 2, {'y': 80, 'step': 0.5, 'minorTicks': 1, 'format': 'fraction', 'points': [a, b]})
+  fill('white')
+  text(f'a + b = {a.value + b.value}', 20, 30)
@@ -0,0 +1,16 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(400, 400)
+
+
+def draw():
+  panZoomControl()
+  background('black')
+  drawTickAxes()
+
+  fill('hotpink')
+  circle(100, 100, 50)
+  crosshair('white', 1, 14)
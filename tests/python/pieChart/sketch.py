@@ -0,0 +1,13 @@
+from p5 import *
+
+votes = [12, 30, 8, 20, 5]
+fruits = ['apples', 'bananas', 'cherries', 'grapes', 'kiwis']
+
+
+def setup():
+  createCanvas(600, 400)
+
+
+def draw():
+  background('black')
+  pieChart(votes, fruits, {'donut': 0.4, 'legend': True, 'decimals': 1})
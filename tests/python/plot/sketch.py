@@ -0,0 +1,21 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(600, 400)
+  setViewport(-6, 6, -4, 4)
+  angleMode(RADIANS)
+
+
+def parabola(x):
+  return x * x - 3
+
+
+def draw():
+  background('black')
+  drawTickAxes()
+
+  plot(tan, {'color': 'orange'})
+  plot(lambda x: 1 / x if x != 0 else float('inf'), {'color': 'deepskyblue', 'dash': [10, 5]})
+  plot(parabola, -3, 3, {'shade': [-1, 2]})
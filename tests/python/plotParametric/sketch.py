@@ -0,0 +1,19 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(600, 400)
+  setViewport(-6, 6, -4, 4)
+
+
+def rose(theta):
+  return 3 * cos(4 * theta)
+
+
+def draw():
+  background('black')
+  drawTickAxes()
+
+  plotPolar(rose, {'trace': 5, 'color': 'orange'})
+  plotParametric(lambda t: 5 * sin(3 * t), lambda t: 3.5 * sin(2 * t), {'progress': mouseX / width + 0.5, 'color': 'deepskyblue'})
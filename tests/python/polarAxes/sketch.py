@@ -0,0 +1,15 @@
+from p5 import *
+
+
+def setup():
+  createCanvas(600, 400)
+  coordinateMode(CENTER)
+
+
+def draw():
+  background('black')
+  drawPolarAxes({'angleStep': 45})
+  plotPolar(lambda t: 150 * sin(2 * t), {'color': 'deepskyblue'})
+  p = mousePolar()
+  fill('white')
+  text(f'r = {round(p.r)}, θ = {round(p.theta)}', -280, 180)
@@ -0,0 +1,16 @@
+from p5 import *
+
+hours = []
+scores = []
+
+
+def setup():
+  createCanvas(600, 400)
+  for i in range(30):
+    hours.append(random(0, 10))
+    scores.append(50 + 4 * hours[i] + random(-8, 8))
+
+
+def draw():
+  background('black')
+  scatterPlot(hours, scores, {'regression': 'linear', 'xTitle': 'hours studied', 'yTitle': 'score'})
@@ -0,0 +1,25 @@
+from p5 import *
+
+heights = []
+chart = 0
+
+
+def setup():
+  createCanvas(600, 400)
+  for i in range(200):
+    heights.append(randomGaussian(170, 8))
+
+
+def draw():
+  background('black')
+  if chart == 0:
+    histogram(heights, 12, {'xTitle': 'height (cm)', 'yTitle': 'people'})
+  elif chart == 1:
+    boxPlot(heights, {'xTitle': 'height (cm)', 'showValues': True})
+  else:
+    dotPlot([round(h / 5) * 5 for h in heights], {'step': 5})
+
+
+def mousePressed():
+  global chart
+  chart = (chart + 1) % 3
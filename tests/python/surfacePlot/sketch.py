@@ -0,0 +1,16 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(400, 400, WEBGL)
+  loadFont('../assets/assets/PermanentMarker-Regular.ttf', 'font')
+
+
+def draw():
+  background('black')
+  orbitControl()
+  textFont(assets['font'])
+  rotateX(-60)
+  draw3DAxes(150, 'violet', {'showPlanes': False})
+  surfacePlot(lambda x, y: (x * x - y * y) / 100, [-100, 100], {'wireframe': True})
@@ -0,0 +1,17 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(800, 500)
+
+
+def draw():
+  background('black')
+
+  # the scale changes with mouseX, and the spacing follows it
+  s = map(mouseX, -width / 2, width / 2, 0.02, 20, True)
+  push()
+  scale(s)
+  drawTickAxes({'scaleFactor': s, 'spacing': AUTO})
+  pop()
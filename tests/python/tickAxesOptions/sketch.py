@@ -0,0 +1,19 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(CENTER)
+  createCanvas(600, 400)
+  setViewport(-2 * PI, 2 * PI, -2, 2)
+
+
+def draw():
+  background('black')
+  drawTickAxes({
+    'xSpacing': PI / 2,
+    'ySpacing': 0.5,
+    'xFormat': 'pi',
+    'minorTicks': 1,
+    'xTitle': 'θ',
+    'yTitle': 'sin(θ)',
+  })
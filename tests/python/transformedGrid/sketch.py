@@ -0,0 +1,12 @@
+from p5 import *
+
+
+def setup():
+  createCanvas(600, 400)
+  coordinateMode(CENTER)
+
+
+def draw():
+  background('black')
+  setViewport(-6, 6, -4, 4)
+  drawTransformedGrid([[2, 1], [1, 2]], {'duration': 2, 'showEigenvectors': True})
@@ -0,0 +1,14 @@
+from p5 import *
+
+
+def setup():
+  global angle
+  createCanvas(600, 400)
+  angleMode(DEGREES)
+  angle = 30
+
+
+def draw():
+  global angle
+  background('black')
+  angle = unitCircle(angle, {'graph': 'sin'})
@@ -0,0 +1,20 @@
+from p5 import *
+
+
+def setup():
+  createCanvas(600, 400)
+
+
+def draw():
+  background('black')
+  setViewport(-1, 11, -1, 7)
+  drawTickAxes()
+  m = mouse()
+  stroke('white')
+  strokeWeight(3)
+  drawVector(0, 0, createVector(m.x, m.y), {'name': 'v', 'showValue': True, 'components': True})
+  strokeWeight(2)
+  drawVectorSum(4, 0, [createVector(2, 1), createVector(1, 3)], {'names': ['a', 'b'], 'showValue': True})
+  drawScalarMultiple(8, 1, [1, 1], 2, {'name': 'u'})
+  drawProjection(0, 5, [2, 1.5], [4, 0], {'names': ['a', 'b']})
+  drawVectorDifference(6, 5, [3, 1], [1, 1.5], {'names': ['p', 'q']})
@@ -0,0 +1,23 @@
+from p5 import *
+
+
+def setup():
+  coordinateMode(BOTTOM_LEFT)
+  createCanvas(400, 400)
+  setViewport(-3, 3, -1, 9)
+
+
+def draw():
+  background('black')
+  drawTickAxes()
+
+  noFill()
+  stroke('hotpink')
+  strokeWeight(3)
+  beginShape()
+  for i in range(121):
+    x = -3 + i * 0.05
+    vertex(x, x * x)
+  endShape()
+
+  crosshair('white', 1, 14)